@@ -3,19 +3,27 @@
  * 
  * You can use these examples with tools like curl, Postman, or any HTTP client
  * Make sure the server is running on http://localhost:3000
+ *
+ * Everything under /api needs an API key (the seed prints one per user) sent
+ * in the X-API-Key header; the fetch examples read it from TODO_API_KEY
  */
 
+const API_KEY = process.env.TODO_API_KEY;
+
 // Health Check
 // GET http://localhost:3000/health
 
 // Get all todos
 // GET http://localhost:3000/api/todos
+// X-API-Key: tdk_...
 
 // Get a specific todo (replace 1 with actual todo ID)
 // GET http://localhost:3000/api/todos/1
+// X-API-Key: tdk_...
 
 // Create a new todo
 // POST http://localhost:3000/api/todos
+// X-API-Key: tdk_...
 // Content-Type: application/json
 // {
 //   "title": "Learn Node.js",
@@ -24,6 +32,7 @@
 
 // Update a todo (replace 1 with actual todo ID)
 // PUT http://localhost:3000/api/todos/1
+// X-API-Key: tdk_...
 // Content-Type: application/json
 // {
 //   "title": "Learn Node.js and Express",
@@ -33,9 +42,11 @@
 
 // Toggle todo completion (replace 1 with actual todo ID)
 // PATCH http://localhost:3000/api/todos/1/toggle
+// X-API-Key: tdk_...
 
 // Delete a todo (replace 1 with actual todo ID)
 // DELETE http://localhost:3000/api/todos/1
+// X-API-Key: tdk_...
 
 /**
  * CURL Examples:
@@ -48,35 +59,44 @@ Example CURL commands:
    curl http://localhost:3000/health
 
 2. Get all todos:
-   curl http://localhost:3000/api/todos
+   curl http://localhost:3000/api/todos \\
+     -H "X-API-Key: tdk_..."
 
 3. Create a new todo:
    curl -X POST http://localhost:3000/api/todos \\
+     -H "X-API-Key: tdk_..." \\
      -H "Content-Type: application/json" \\
      -d '{"title": "Learn Prisma", "description": "Complete Prisma tutorial"}'
 
 4. Update a todo (replace 1 with actual ID):
    curl -X PUT http://localhost:3000/api/todos/1 \\
+     -H "X-API-Key: tdk_..." \\
      -H "Content-Type: application/json" \\
      -d '{"title": "Learn Prisma ORM", "completed": true}'
 
 5. Toggle completion (replace 1 with actual ID):
-   curl -X PATCH http://localhost:3000/api/todos/1/toggle
+   curl -X PATCH http://localhost:3000/api/todos/1/toggle \\
+     -H "X-API-Key: tdk_..."
 
 6. Delete a todo (replace 1 with actual ID):
-   curl -X DELETE http://localhost:3000/api/todos/1
+   curl -X DELETE http://localhost:3000/api/todos/1 \\
+     -H "X-API-Key: tdk_..."
 `);
 
 /**
  * JavaScript fetch examples for frontend integration:
  */
 
-// Example function to fetch all todos
+// Example function to fetch the first page of todos
 async function getAllTodos() {
   try {
-    const response = await fetch('http://localhost:3000/api/todos');
-    const todos = await response.json();
-    console.log('Todos:', todos);
+    const response = await fetch('http://localhost:3000/api/todos', {
+      headers: {
+        'X-API-Key': API_KEY,
+      }
+    });
+    const { data: todos, pagination } = await response.json();
+    console.log(`Todos (${todos.length} of ${pagination.total}):`, todos);
     return todos;
   } catch (error) {
     console.error('Error fetching todos:', error);
@@ -90,10 +110,11 @@ async function createTodo(title, description) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'X-API-Key': API_KEY,
       },
       body: JSON.stringify({ title, description })
     });
-    const todo = await response.json();
+    const { todo } = await response.json();
     console.log('Created todo:', todo);
     return todo;
   } catch (error) {
@@ -108,10 +129,11 @@ async function updateTodo(id, updates) {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
+        'X-API-Key': API_KEY,
       },
       body: JSON.stringify(updates)
     });
-    const todo = await response.json();
+    const { todo } = await response.json();
     console.log('Updated todo:', todo);
     return todo;
   } catch (error) {
@@ -123,7 +145,10 @@ async function updateTodo(id, updates) {
 async function deleteTodo(id) {
   try {
     const response = await fetch(`http://localhost:3000/api/todos/${id}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: {
+        'X-API-Key': API_KEY,
+      }
     });
     if (response.ok) {
       console.log('Todo deleted successfully');
@@ -0,0 +1,51 @@
+const { Prisma } = require('@prisma/client');
+
+/**
+ * Todo ownership rules.
+ *
+ * Everything is partitioned by workspace: users only ever reach records of
+ * their own workspace. Within it, owners can read and modify their todos,
+ * other users can only read the todos shared with them (TodoShare), and
+ * admins can do everything. Unassigned todos are only reachable by admins.
+ */
+
+const isAdmin = (user) => user.role === 'ADMIN';
+
+// Where clause matching records (users, categories, tags, todos) of the user's workspace
+const inWorkspace = (user) => ({ workspaceId: user.workspaceId });
+
+// Where clause matching the todos a user may read
+const visibleTodoWhere = (user) => isAdmin(user)
+  ? inWorkspace(user)
+  : {
+    ...inWorkspace(user),
+    OR: [
+      { userId: user.id },
+      { shares: { some: { userId: user.id } } }
+    ]
+  };
+
+// The same rule as visibleTodoWhere as a raw SQL condition on "todos" aliased t
+const visibleTodoSql = (user) => isAdmin(user)
+  ? Prisma.sql`t."workspaceId" = ${user.workspaceId}`
+  : Prisma.sql`t."workspaceId" = ${user.workspaceId} AND (
+      t."userId" = ${user.id} OR
+      EXISTS (SELECT 1 FROM "todo_shares" s WHERE s."todoId" = t."id" AND s."userId" = ${user.id})
+    )`;
+
+// Where clause matching the todos a user may modify
+const editableTodoWhere = (user) => isAdmin(user)
+  ? inWorkspace(user)
+  : { ...inWorkspace(user), userId: user.id };
+
+const canEditTodo = (user, todo) => todo.workspaceId === user.workspaceId &&
+  (isAdmin(user) || todo.userId === user.id);
+
+module.exports = {
+  isAdmin,
+  inWorkspace,
+  visibleTodoWhere,
+  visibleTodoSql,
+  editableTodoWhere,
+  canEditTodo
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Authentication for the API.
+ *
+ * Callers identify themselves with either
+ *   X-API-Key: tdk_...            - a long-lived key; only its sha256 hash is stored
+ *   Authorization: Bearer <jwt>   - a short-lived token signed with AUTH_TOKEN_SECRET,
+ *                                   issued by POST /api/auth/token
+ *
+ * Both resolve to a User, which handlers find on req.user; req.authMethod
+ * says which one was used ('apiKey' or 'token').
+ */
+
+const API_KEY_PREFIX = 'tdk_';
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '1h';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// New random key; the plain key is only ever shown to the caller once
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    key,
+    keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashApiKey(key)
+  };
+};
+
+const tokenSecret = () => process.env.AUTH_TOKEN_SECRET || null;
+
+// Sign a bearer token for a user; requires AUTH_TOKEN_SECRET
+const signToken = (user) => {
+  const token = jwt.sign({ sub: String(user.id) }, tokenSecret(), { expiresIn: TOKEN_TTL });
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+// User id carried by a valid bearer token, or null
+const verifyToken = (token) => {
+  if (!tokenSecret()) {
+    return null;
+  }
+  try {
+    const payload = jwt.verify(token, tokenSecret());
+    return parseInt(payload.sub) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Look up the user behind an API key, skipping revoked and expired keys
+const findUserByApiKey = async (prisma, key) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(key) },
+    include: { user: true }
+  });
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date() }
+  });
+  return apiKey.user;
+};
+
+// Middleware rejecting anonymous or unknown callers with 401 and setting req.user
+const createAuthenticator = (prisma) => async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-API-Key');
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+
+    if (!apiKey && !bearer) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHENTICATED' });
+    }
+
+    let user = null;
+    if (apiKey) {
+      user = await findUserByApiKey(prisma, apiKey);
+    } else {
+      const userId = verifyToken(bearer);
+      user = userId ? await prisma.user.findUnique({ where: { id: userId } }) : null;
+    }
+
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
+    }
+
+    req.user = user;
+    req.authMethod = apiKey ? 'apiKey' : 'token';
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  tokenSecret,
+  signToken,
+  createAuthenticator
+};
@@ -0,0 +1,155 @@
+/**
+ * Helpers for walking the TodoDependencies self-relation.
+ *
+ * Edges point from a todo to its prerequisites: `todo.dependencies` are the
+ * todos that must be done first ("upstream"), `todo.dependencyOf` are the
+ * todos waiting on it ("downstream").
+ */
+
+const RELATION_BY_DIRECTION = {
+  upstream: 'dependencies',
+  downstream: 'dependencyOf'
+};
+
+// Load the neighbours of a set of todos in one direction as a Map of id -> [ids],
+// optionally only following neighbours that match a where clause
+const loadNeighbours = async (client, ids, direction, where = {}) => {
+  const relation = RELATION_BY_DIRECTION[direction];
+  const rows = await client.todo.findMany({
+    where: { id: { in: ids } },
+    select: {
+      id: true,
+      [relation]: {
+        where,
+        select: { id: true }
+      }
+    }
+  });
+
+  return new Map(rows.map(row => [row.id, row[relation].map(t => t.id)]));
+};
+
+// Breadth-first walk from the start ids, one query per level, stopping after
+// maxDepth levels and skipping todos that don't match where. Returns the depth
+// at which each reachable id was first seen and the edges traversed.
+const walk = async (client, startIds, direction, { maxDepth = Infinity, where } = {}) => {
+  const depths = new Map(startIds.map(id => [id, 0]));
+  const edges = [];
+  let frontier = [...startIds];
+  let depth = 0;
+
+  while (frontier.length > 0 && depth < maxDepth) {
+    const neighbours = await loadNeighbours(client, frontier, direction, where);
+    const next = [];
+    depth++;
+
+    for (const [id, ids] of neighbours) {
+      for (const neighbourId of ids) {
+        edges.push(direction === 'upstream'
+          ? { from: id, to: neighbourId }
+          : { from: neighbourId, to: id });
+
+        if (!depths.has(neighbourId)) {
+          depths.set(neighbourId, depth);
+          next.push(neighbourId);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return { depths, edges };
+};
+
+// Check whether making todoId depend on dependencyIds would close a loop.
+// Returns the offending path (todoId -> ... -> todoId) or null.
+const findDependencyCycle = async (client, todoId, dependencyIds) => {
+  if (dependencyIds.includes(todoId)) {
+    return [todoId, todoId];
+  }
+
+  const parents = new Map(dependencyIds.map(id => [id, todoId]));
+  let frontier = [...dependencyIds];
+
+  while (frontier.length > 0) {
+    const neighbours = await loadNeighbours(client, frontier, 'upstream');
+    const next = [];
+
+    for (const [id, ids] of neighbours) {
+      for (const neighbourId of ids) {
+        if (neighbourId === todoId) {
+          const path = [todoId];
+          for (let node = id; node !== todoId; node = parents.get(node)) {
+            path.unshift(node);
+          }
+          path.unshift(todoId);
+          return path;
+        }
+        if (!parents.has(neighbourId)) {
+          parents.set(neighbourId, id);
+          next.push(neighbourId);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return null;
+};
+
+// Order nodes so every prerequisite comes before the todos that depend on it
+// (Kahn's algorithm, ties broken by id). Edges use { from: dependent, to: prerequisite }.
+// Nodes stuck in a cycle are returned separately instead of being ordered.
+const topologicalOrder = (ids, edges) => {
+  const idSet = new Set(ids);
+  const pending = new Map(ids.map(id => [id, 0]));
+  const dependents = new Map(ids.map(id => [id, []]));
+
+  for (const { from, to } of edges) {
+    if (idSet.has(from) && idSet.has(to)) {
+      pending.set(from, pending.get(from) + 1);
+      dependents.get(to).push(from);
+    }
+  }
+
+  const levels = new Map();
+  let ready = ids.filter(id => pending.get(id) === 0).sort((a, b) => a - b);
+  ready.forEach(id => levels.set(id, 0));
+  const order = [];
+
+  while (ready.length > 0) {
+    const id = ready.shift();
+    order.push(id);
+
+    for (const dependentId of dependents.get(id)) {
+      levels.set(dependentId, Math.max(levels.get(dependentId) || 0, levels.get(id) + 1));
+      pending.set(dependentId, pending.get(dependentId) - 1);
+      if (pending.get(dependentId) === 0) {
+        ready.push(dependentId);
+        ready.sort((a, b) => a - b);
+      }
+    }
+  }
+
+  return {
+    order: order.map(id => ({ id, level: levels.get(id) })),
+    cyclic: ids.filter(id => pending.get(id) > 0)
+  };
+};
+
+// Prerequisites that would still be open once an update connects `added`
+// and then disconnects `removedIds`, ordered by id. Todos are { id, completed,
+// deletedAt }; those in the trash don't hold anything back.
+const openPrerequisites = (current, added, removedIds) => {
+  const byId = new Map([...current, ...added].map(todo => [todo.id, todo]));
+  return [...byId.values()]
+    .filter(todo => !removedIds.includes(todo.id) && !todo.completed && !todo.deletedAt)
+    .sort((a, b) => a.id - b.id);
+};
+
+module.exports = {
+  walk,
+  findDependencyCycle,
+  topologicalOrder,
+  openPrerequisites
+};
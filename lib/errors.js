@@ -0,0 +1,100 @@
+/**
+ * Translation of errors thrown by Prisma (and the body parser) into HTTP
+ * responses with a stable envelope:
+ *
+ *   { error: 'Human readable message', code: 'CONFLICT' }
+ *
+ * Clients should branch on `code`; messages may change. Anything that isn't
+ * recognised becomes a 500 INTERNAL_ERROR carrying the handler's fallback message.
+ */
+
+// Known Prisma error codes (https://www.prisma.io/docs/orm/reference/error-reference)
+const UNIQUE_VIOLATION = 'P2002';
+const RECORD_NOT_FOUND = 'P2025';
+const FOREIGN_KEY_VIOLATION = 'P2003';
+// Database unreachable, timed out, dropped the connection, or the pool is exhausted
+const CONNECTION_ERRORS = ['P1001', 'P1002', 'P1008', 'P1017', 'P2024'];
+
+// Constraint fields from error metadata, e.g. ['workspaceId', 'name']
+const targetFields = (error) => {
+  const target = error.meta && (error.meta.target || error.meta.field_name);
+  if (!target) {
+    return undefined;
+  }
+  return Array.isArray(target) ? target : [target];
+};
+
+// Status, code and message for a known error, or null. `messages` overrides
+// the default message per Prisma code, e.g. { P2002: 'Email is already in use' }.
+const translateError = (error, messages = {}) => {
+  if (!error) {
+    return null;
+  }
+
+  if (error.code === UNIQUE_VIOLATION) {
+    const fields = targetFields(error);
+    return {
+      status: 409,
+      code: 'CONFLICT',
+      message: messages[UNIQUE_VIOLATION] ||
+        (fields ? `A record with this ${fields.join(', ')} already exists` : 'A record with these values already exists'),
+      fields
+    };
+  }
+
+  if (error.code === RECORD_NOT_FOUND) {
+    return {
+      status: 404,
+      code: 'NOT_FOUND',
+      message: messages[RECORD_NOT_FOUND] || 'Record not found'
+    };
+  }
+
+  if (error.code === FOREIGN_KEY_VIOLATION) {
+    const fields = targetFields(error);
+    return {
+      status: 422,
+      code: 'INVALID_REFERENCE',
+      message: messages[FOREIGN_KEY_VIOLATION] || 'A referenced record does not exist or is still in use',
+      fields
+    };
+  }
+
+  if (CONNECTION_ERRORS.includes(error.code) || CONNECTION_ERRORS.includes(error.errorCode) ||
+      error.name === 'PrismaClientInitializationError') {
+    return {
+      status: 503,
+      code: 'SERVICE_UNAVAILABLE',
+      message: 'The database is unavailable, try again later'
+    };
+  }
+
+  // Thrown by express.json() before any handler runs
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, code: 'MALFORMED_JSON', message: 'Request body is not valid JSON' };
+  }
+  if (error.type === 'entity.too.large') {
+    return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+  }
+
+  return null;
+};
+
+// Answer a request that failed with an error; unknown errors become a 500 with the fallback message
+const sendError = (res, error, fallbackMessage, messages) => {
+  const translated = translateError(error, messages);
+  if (!translated) {
+    return res.status(500).json({ error: fallbackMessage, code: 'INTERNAL_ERROR' });
+  }
+
+  const { status, code, message, fields } = translated;
+  if (status === 503) {
+    res.set('Retry-After', '5');
+  }
+  res.status(status).json(fields ? { error: message, code, fields } : { error: message, code });
+};
+
+module.exports = {
+  translateError,
+  sendError
+};
@@ -0,0 +1,67 @@
+/**
+ * Field selection for todo reads.
+ *
+ *   ?fields=id,title,priority     scalar fields to return (id is always included)
+ *   ?expand=tags,user             relations to load alongside
+ *
+ * Both translate into a Prisma `select`, so unrequested columns and
+ * relations are never queried. Handlers supply the select value of each
+ * relation because what a caller may see of a relation depends on them.
+ */
+
+const TODO_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'completed',
+  'priority',
+  'startAt',
+  'dueAt',
+  'createdAt',
+  'updatedAt',
+  'deletedAt',
+  'workspaceId',
+  'userId',
+  'categoryId',
+  'seriesId',
+  'parentId'
+];
+
+const TODO_RELATIONS = [
+  'category',
+  'user',
+  'tags',
+  'notes',
+  'dependencies',
+  'dependencyOf',
+  'history',
+  'attachments',
+  'reminders',
+  'series',
+  'parent',
+  'children'
+];
+
+// Prisma select for the requested fields and relations
+const todoSelect = (fields, expand, relations) => ({
+  id: true,
+  ...Object.fromEntries(fields.map(field => [field, true])),
+  ...Object.fromEntries(expand.map(relation => [relation, relations[relation]]))
+});
+
+// Keep only the requested keys of a loaded todo and flatten its tag assignments into tags
+const presentTodo = (todo, fields, expand) => {
+  const keys = ['id', ...fields, ...expand];
+  const presented = Object.fromEntries(Object.entries(todo).filter(([key]) => keys.includes(key)));
+  if (presented.tags) {
+    presented.tags = presented.tags.map(t => t.tag);
+  }
+  return presented;
+};
+
+module.exports = {
+  TODO_FIELDS,
+  TODO_RELATIONS,
+  todoSelect,
+  presentTodo
+};
@@ -0,0 +1,65 @@
+/**
+ * Attachment type checks.
+ *
+ * The MIME type a client declares for an upload is only a claim, so the bytes
+ * are checked against it: binary formats by their leading signature, plain
+ * text by being valid UTF-8 without NUL bytes. The file name's extension has
+ * to fit the type as well, because downloads hand the name back to the
+ * browser, which may go by the extension once the file is saved.
+ */
+
+const FILE_TYPES = {
+  'image/png': {
+    signatures: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    extensions: ['.png']
+  },
+  'image/jpeg': {
+    signatures: [[0xff, 0xd8, 0xff]],
+    extensions: ['.jpg', '.jpeg']
+  },
+  'image/gif': {
+    signatures: [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+    extensions: ['.gif']
+  },
+  'application/pdf': {
+    signatures: [Buffer.from('%PDF-')],
+    extensions: ['.pdf']
+  },
+  'text/plain': {
+    extensions: ['.txt', '.text', '.log', '.md', '.csv']
+  }
+};
+
+const startsWith = (buffer, signature) => buffer.length >= signature.length &&
+  signature.every((byte, index) => buffer[index] === byte);
+
+const isPlainText = (buffer) => {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// MIME type the content of a file shows, or null if it's none we recognise
+const detectType = (buffer) => {
+  const signed = Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].signatures?.some(signature => startsWith(buffer, signature)));
+  if (signed) {
+    return signed;
+  }
+  return isPlainText(buffer) ? 'text/plain' : null;
+};
+
+// Whether a file name fits a type: one of its extensions, or none at all
+const extensionMatches = (type, extension) => extension === '' ||
+  (FILE_TYPES[type]?.extensions.includes(extension.toLowerCase()) ?? false);
+
+module.exports = {
+  FILE_TYPES,
+  detectType,
+  extensionMatches
+};
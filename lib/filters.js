@@ -0,0 +1,328 @@
+/**
+ * Filters for todo listings, compiled into Prisma where clauses.
+ *
+ * Simple query parameters cover the common cases:
+ *   priority=HIGH,URGENT          any of the priorities
+ *   category=3,none  user=none    any of the ids; `none` matches todos without one
+ *   parent=5  parent=none         subtasks of any of the todos; `none` for top-level todos
+ *   tag=1,2&tagMatch=all          tagged with any (default) or all of the tags; tag=none for untagged
+ *   createdAfter=2026-01-01       also createdBefore, updatedAfter, updatedBefore
+ *   state=blocked                 open todos waiting on an open dependency; `ready` for the others
+ *   due=overdue,today             open todos past due, due today or this week (Monday to Sunday, UTC); `none` for no due date
+ *   dueAfter=2026-01-01           also dueBefore
+ *
+ * `filter=` takes a boolean expression over the same conditions for anything
+ * else, e.g.
+ *   priority:HIGH,URGENT and (tag:4 or category:none) and not state:blocked
+ *   createdAt>=2026-01-01 and updatedAt<2026-02-01
+ *   due:week and startAt<=2026-03-01
+ * Conditions are `field:values` (comma-separated, any of) or a date comparison
+ * with >, >=, < or <=; they combine with and, or, not and parentheses.
+ *
+ * Every value is checked against its field before it goes into a where
+ * clause, so nothing the client sends reaches the query untyped. Problems
+ * throw a FilterError naming the query parameter at fault.
+ */
+
+// Values of the Priority enum, in severity order
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+const STATES = ['blocked', 'ready'];
+const DUE_WINDOWS = ['overdue', 'today', 'week', 'none'];
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'startAt', 'dueAt'];
+const TAG_MATCHES = ['any', 'all'];
+
+// Keep expressions small enough to compile into a reasonable query
+const MAX_FILTER_LENGTH = 1000;
+const MAX_FILTER_CONDITIONS = 50;
+const MAX_FILTER_NESTING = 10;
+
+class FilterError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'FilterError';
+    this.field = field;
+  }
+}
+
+// An open dependency that isn't in the trash holds its dependents back
+const OPEN_DEPENDENCY = { completed: false, deletedAt: null };
+
+const either = (clauses) => clauses.length === 1 ? clauses[0] : { OR: clauses };
+
+const splitValues = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+
+// Positive ids, with `none` standing for null
+const idValues = (param, name, values) => values.map(value => {
+  if (value === 'none') {
+    return null;
+  }
+  if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+    throw new FilterError(param, `${name} expects ids or none, got "${value}"`);
+  }
+  return parseInt(value);
+});
+
+// Any of the ids in a column, or null for `none`
+const idOrNone = (column, values) => {
+  const ids = values.filter(value => value !== null);
+  const clauses = [];
+  if (ids.length > 0) {
+    clauses.push({ [column]: { in: ids } });
+  }
+  if (ids.length < values.length) {
+    clauses.push({ [column]: null });
+  }
+  return either(clauses);
+};
+
+const dateValue = (param, name, value) => {
+  const date = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(date.getTime())) {
+    throw new FilterError(param, `${name} expects an ISO 8601 date, got "${value}"`);
+  }
+  return date;
+};
+
+const COMPARISONS = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where clause for a due window relative to now; days and weeks are UTC
+const dueWindow = (window, now) => {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  switch (window) {
+    case 'overdue':
+      return { completed: false, dueAt: { lt: now } };
+    case 'today':
+      return { completed: false, dueAt: { gte: today, lt: new Date(today.getTime() + DAY_MS) } };
+    case 'week': {
+      const monday = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+      return { completed: false, dueAt: { gte: monday, lt: new Date(monday.getTime() + 7 * DAY_MS) } };
+    }
+    default:
+      return { dueAt: null };
+  }
+};
+
+// Where clause for one condition. `param` is the query parameter it came
+// from, for error messages; `match` is the tag matching mode.
+const compileCondition = (param, name, operator, values, match = 'any') => {
+  if (values.length === 0) {
+    throw new FilterError(param, `${name} needs a value`);
+  }
+
+  if (DATE_FIELDS.includes(name)) {
+    if (!COMPARISONS[operator] || values.length !== 1) {
+      throw new FilterError(param, `${name} is compared with one date using >, >=, < or <=`);
+    }
+    return { [name]: { [COMPARISONS[operator]]: dateValue(param, name, values[0]) } };
+  }
+
+  if (operator !== ':') {
+    throw new FilterError(param, `${name} can't be compared with ${operator}; use ${name}:value`);
+  }
+
+  switch (name) {
+    case 'priority': {
+      const unknown = values.filter(value => !PRIORITIES.includes(value));
+      if (unknown.length > 0) {
+        throw new FilterError(param, `priority expects any of ${PRIORITIES.join(', ')}, got "${unknown.join(', ')}"`);
+      }
+      return { priority: { in: values } };
+    }
+    case 'category':
+      return idOrNone('categoryId', idValues(param, name, values));
+    case 'user':
+      return idOrNone('userId', idValues(param, name, values));
+    case 'parent':
+      return idOrNone('parentId', idValues(param, name, values));
+    case 'tag': {
+      const tagIds = idValues(param, name, values);
+      const ids = tagIds.filter(id => id !== null);
+      const clauses = match === 'all'
+        ? ids.map(tagId => ({ tags: { some: { tagId } } }))
+        : (ids.length > 0 ? [{ tags: { some: { tagId: { in: ids } } } }] : []);
+      if (ids.length < tagIds.length) {
+        clauses.push({ tags: { none: {} } });
+      }
+      return match === 'all' && ids.length > 0 ? { AND: clauses } : either(clauses);
+    }
+    case 'completed':
+      if (values.length !== 1 || !['true', 'false'].includes(values[0])) {
+        throw new FilterError(param, 'completed expects true or false');
+      }
+      return { completed: values[0] === 'true' };
+    case 'state': {
+      const unknown = values.filter(value => !STATES.includes(value));
+      if (unknown.length > 0) {
+        throw new FilterError(param, `state expects any of ${STATES.join(', ')}, got "${unknown.join(', ')}"`);
+      }
+      return either(values.map(state => state === 'blocked'
+        ? { completed: false, dependencies: { some: OPEN_DEPENDENCY } }
+        : { completed: false, dependencies: { none: OPEN_DEPENDENCY } }));
+    }
+    case 'due': {
+      const unknown = values.filter(value => !DUE_WINDOWS.includes(value));
+      if (unknown.length > 0) {
+        throw new FilterError(param, `due expects any of ${DUE_WINDOWS.join(', ')}, got "${unknown.join(', ')}"`);
+      }
+      const now = new Date();
+      return either(values.map(window => dueWindow(window, now)));
+    }
+    default:
+      throw new FilterError(param, `Unknown filter field "${name}"`);
+  }
+};
+
+// Split an expression into parentheses, keywords and conditions
+const tokenize = (expression) => {
+  const pattern = /\s*(?:(\()|(\))|(and|or|not)(?![^\s()])|([A-Za-z]+)(>=|<=|:|>|<)([^\s()]*))/iy;
+  const tokens = [];
+  let position = 0;
+
+  while (expression.slice(position).trim() !== '') {
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      const rest = expression.slice(position).trim();
+      throw new FilterError('filter', `Unexpected "${rest.slice(0, 20)}" at position ${expression.length - rest.length + 1}`);
+    }
+    position = pattern.lastIndex;
+
+    if (match[1]) {
+      tokens.push({ type: '(' });
+    } else if (match[2]) {
+      tokens.push({ type: ')' });
+    } else if (match[3]) {
+      tokens.push({ type: match[3].toLowerCase() });
+    } else {
+      tokens.push({ type: 'condition', name: match[4], operator: match[5], values: splitValues(match[6]) });
+    }
+  }
+  return tokens;
+};
+
+// Compile a filter expression into a where clause
+const parseFilter = (expression) => {
+  if (expression.length > MAX_FILTER_LENGTH) {
+    throw new FilterError('filter', `filter is limited to ${MAX_FILTER_LENGTH} characters`);
+  }
+  const tokens = tokenize(expression);
+  if (tokens.length === 0) {
+    throw new FilterError('filter', 'filter is empty');
+  }
+  if (tokens.filter(token => token.type === 'condition').length > MAX_FILTER_CONDITIONS) {
+    throw new FilterError('filter', `filter is limited to ${MAX_FILTER_CONDITIONS} conditions`);
+  }
+
+  let index = 0;
+  const next = () => tokens[index];
+  const describe = (token) => token ? (token.type === 'condition' ? `${token.name}${token.operator}` : `"${token.type}"`) : 'the end';
+
+  // or binds loosest, then and, then not
+  const parseOr = (depth) => {
+    const clauses = [parseAnd(depth)];
+    while (next() && next().type === 'or') {
+      index++;
+      clauses.push(parseAnd(depth));
+    }
+    return either(clauses);
+  };
+
+  const parseAnd = (depth) => {
+    const clauses = [parseUnary(depth)];
+    while (next() && next().type === 'and') {
+      index++;
+      clauses.push(parseUnary(depth));
+    }
+    return clauses.length === 1 ? clauses[0] : { AND: clauses };
+  };
+
+  const parseUnary = (depth) => {
+    const token = next();
+    if (token && token.type === 'not') {
+      index++;
+      return { NOT: parseUnary(depth) };
+    }
+    if (token && token.type === '(') {
+      if (depth >= MAX_FILTER_NESTING) {
+        throw new FilterError('filter', `filter is limited to ${MAX_FILTER_NESTING} levels of parentheses`);
+      }
+      index++;
+      const clause = parseOr(depth + 1);
+      if (!next() || next().type !== ')') {
+        throw new FilterError('filter', `Expected ")" but found ${describe(next())}`);
+      }
+      index++;
+      return clause;
+    }
+    if (token && token.type === 'condition') {
+      index++;
+      return compileCondition('filter', token.name, token.operator, token.values);
+    }
+    throw new FilterError('filter', `Expected a condition but found ${describe(token)}`);
+  };
+
+  const where = parseOr(0);
+  if (index < tokens.length) {
+    throw new FilterError('filter', `Expected and, or or the end but found ${describe(next())}`);
+  }
+  return where;
+};
+
+// Where clauses for the filter query parameters, to be combined with AND
+const compileFilters = (query) => {
+  const clauses = [];
+  const { priority, category, user, parent, tag, tagMatch = 'any', state, due, filter } = query;
+
+  if (!TAG_MATCHES.includes(tagMatch)) {
+    throw new FilterError('tagMatch', `tagMatch expects any of ${TAG_MATCHES.join(', ')}`);
+  }
+  if (priority !== undefined) {
+    clauses.push(compileCondition('priority', 'priority', ':', splitValues(priority)));
+  }
+  if (category !== undefined) {
+    clauses.push(compileCondition('category', 'category', ':', splitValues(category)));
+  }
+  if (user !== undefined) {
+    clauses.push(compileCondition('user', 'user', ':', splitValues(user)));
+  }
+  if (parent !== undefined) {
+    clauses.push(compileCondition('parent', 'parent', ':', splitValues(parent)));
+  }
+  if (tag !== undefined) {
+    clauses.push(compileCondition('tag', 'tag', ':', splitValues(tag), tagMatch));
+  }
+  if (state !== undefined) {
+    clauses.push(compileCondition('state', 'state', ':', splitValues(state)));
+  }
+  if (due !== undefined) {
+    clauses.push(compileCondition('due', 'due', ':', splitValues(due)));
+  }
+
+  const ranges = [
+    ['createdAfter', 'createdAt', '>='],
+    ['createdBefore', 'createdAt', '<'],
+    ['updatedAfter', 'updatedAt', '>='],
+    ['updatedBefore', 'updatedAt', '<'],
+    ['dueAfter', 'dueAt', '>='],
+    ['dueBefore', 'dueAt', '<']
+  ];
+  for (const [param, field, operator] of ranges) {
+    if (query[param] !== undefined) {
+      clauses.push(compileCondition(param, field, operator, [query[param]]));
+    }
+  }
+
+  if (filter !== undefined) {
+    clauses.push(parseFilter(filter));
+  }
+  return clauses;
+};
+
+module.exports = {
+  PRIORITIES,
+  FilterError,
+  parseFilter,
+  compileFilters
+};
@@ -0,0 +1,135 @@
+/**
+ * Structured audit trail helpers for TodoHistory.
+ *
+ * Each entry keeps a free-text description plus a `changes` array of
+ * { field, from, to } records. Scalar fields store the plain values;
+ * relation fields (tags, dependencies, notes) store the full sorted id
+ * sets before and after, so any past state can be reconstructed.
+ */
+
+const SET_FIELDS = ['tags', 'dependencies', 'notes', 'attachments', 'shares'];
+
+const sortIds = (ids) => [...new Set(ids)].sort((a, b) => a - b);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Compare current values with requested ones, skipping fields left undefined
+const diffValues = (current, next) => Object.keys(next)
+  .filter(field => next[field] !== undefined && !isEqual(current[field], next[field]))
+  .map(field => ({
+    field,
+    from: current[field],
+    to: next[field]
+  }));
+
+// Snapshot of the tracked fields of a todo loaded with tags, dependencies and notes
+const snapshotTodo = (todo) => ({
+  title: todo.title,
+  description: todo.description,
+  completed: todo.completed,
+  priority: todo.priority,
+  startAt: todo.startAt,
+  dueAt: todo.dueAt,
+  category: todo.categoryId,
+  user: todo.userId,
+  parent: todo.parentId,
+  tags: sortIds(todo.tags.map(t => t.tagId)),
+  dependencies: sortIds(todo.dependencies.map(d => d.id)),
+  notes: sortIds(todo.notes.map(n => n.id))
+});
+
+// Sorted ids of the notes or attachments (by model name) currently on a todo
+const relationIds = async (tx, model, todoId) => {
+  const rows = await tx[model].findMany({
+    where: { todoId },
+    select: { id: true }
+  });
+  return sortIds(rows.map(row => row.id));
+};
+
+// Changes recorded on creation: every tracked field goes from null to its initial value
+const creationChanges = (todo) => Object.entries(snapshotTodo(todo))
+  .map(([field, to]) => ({ field, from: null, to }));
+
+// Fields a todo can be reverted on
+const REVERTIBLE_FIELDS = ['title', 'description', 'priority', 'startAt', 'dueAt', 'category', 'user', 'tags', 'dependencies'];
+
+// Entries written before changes were recorded only carry text; these
+// actions may have touched revertible fields, so their effect is unknown
+const OPAQUE_ACTIONS = ['UPDATED', 'DEPENDENCY_REMOVED'];
+
+// Rebuild the revertible fields as they were right after an entry, walking
+// back from the current state through the entries written after it: each
+// field takes the `from` of the earliest later change to it. Returns null
+// when a later entry without changes makes the result unknowable.
+const stateBefore = (current, laterEntries) => {
+  if (laterEntries.some(entry => !entry.changes && OPAQUE_ACTIONS.includes(entry.action))) {
+    return null;
+  }
+
+  const state = Object.fromEntries(REVERTIBLE_FIELDS.map(field => [field, current[field]]));
+  const newestFirst = [...laterEntries].sort((a, b) => b.id - a.id);
+  for (const entry of newestFirst) {
+    for (const change of entry.changes || []) {
+      if (REVERTIBLE_FIELDS.includes(change.field)) {
+        state[change.field] = change.from;
+      }
+    }
+  }
+  return state;
+};
+
+const historyData = (audit, { todoId, action, description, changes }) => ({
+  todoId,
+  action,
+  description,
+  changes: changes && changes.length > 0 ? changes : undefined,
+  actorId: audit ? audit.actorId : null,
+  requestId: audit ? audit.requestId : null
+});
+
+// Write a history entry attributed to the caller of the current request
+const recordHistory = (tx, audit, entry) => tx.todoHistory.create({
+  data: historyData(audit, entry)
+});
+
+// Write many history entries in one statement
+const recordHistoryEntries = (tx, audit, entries) => tx.todoHistory.createMany({
+  data: entries.map(entry => historyData(audit, entry))
+});
+
+// Render the changes of an entry for a diff view: scalars as before/after
+// pairs with a unified-diff style text, id sets as added/removed lists
+const renderDiff = (changes) => (changes || []).map(({ field, from, to }) => {
+  if (SET_FIELDS.includes(field)) {
+    const before = from || [];
+    const after = to || [];
+    return {
+      field,
+      added: after.filter(id => !before.includes(id)),
+      removed: before.filter(id => !after.includes(id))
+    };
+  }
+
+  const lines = [];
+  if (from !== null && from !== undefined) lines.push(`- ${JSON.stringify(from)}`);
+  if (to !== null && to !== undefined) lines.push(`+ ${JSON.stringify(to)}`);
+  return {
+    field,
+    before: from,
+    after: to,
+    text: lines.join('\n')
+  };
+});
+
+module.exports = {
+  sortIds,
+  diffValues,
+  snapshotTodo,
+  creationChanges,
+  relationIds,
+  stateBefore,
+  recordHistory,
+  recordHistoryEntries,
+  renderDiff
+};
@@ -0,0 +1,109 @@
+/**
+ * Sorting and cursor pagination for todo listings.
+ *
+ * `sort` is a comma-separated list of fields, each optionally prefixed with
+ * `-` for descending order, e.g. `priority,-updatedAt`. Priority is a
+ * PostgreSQL enum, which sorts in declaration order (LOW < MEDIUM < HIGH <
+ * URGENT), so `-priority` puts the most severe todos first. The id is always
+ * appended as a tiebreaker so the order is total.
+ *
+ * Cursors are opaque to clients: base64url encoded JSON naming the todo to
+ * continue from and the direction ('next' pages after it, 'prev' before it).
+ * They are handed to Prisma's cursor option, which positions the page by the
+ * cursor row's values in the requested order, so rows inserted meanwhile
+ * don't shift pages the way offsets do.
+ */
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'priority', 'id'];
+const DEFAULT_SORT = '-createdAt';
+
+// Fields of a sort expression, or null if it names an unknown or repeated field
+const parseSort = (sort) => {
+  const keys = sort.split(',').map(key => key.startsWith('-')
+    ? { field: key.slice(1), direction: 'desc' }
+    : { field: key, direction: 'asc' });
+  const fields = keys.map(key => key.field);
+  if (fields.some(field => !SORT_FIELDS.includes(field)) || new Set(fields).size !== fields.length) {
+    return null;
+  }
+  return keys;
+};
+
+// Prisma orderBy for a parsed sort, with the id tiebreaker
+const sortOrder = (keys) => {
+  const orderBy = keys.map(({ field, direction }) => ({ [field]: direction }));
+  if (!keys.some(key => key.field === 'id')) {
+    orderBy.push({ id: keys[0].direction });
+  }
+  return orderBy;
+};
+
+const encodeCursor = (id, direction) => Buffer.from(JSON.stringify({ id, direction })).toString('base64url');
+
+// { id, direction } from a cursor, or null if it isn't one of ours
+const decodeCursor = (cursor) => {
+  try {
+    const { id, direction } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(id) || id < 1 || !['next', 'prev'].includes(direction)) {
+      return null;
+    }
+    return { id, direction };
+  } catch (error) {
+    return null;
+  }
+};
+
+// findMany options for the page at a cursor: one extra row is fetched to
+// tell whether more rows follow in the direction of travel
+const pageQuery = (cursor, limit) => ({
+  cursor: { id: cursor.id },
+  skip: 1,
+  take: cursor.direction === 'prev' ? -(limit + 1) : limit + 1
+});
+
+// Trim the extra row off a page and work out the cursors around it.
+// `hasPrevious` tells whether rows precede a page fetched by offset instead
+// of a cursor (any page after the first).
+const pageCursors = (rows, limit, cursor, hasPrevious = false) => {
+  const backwards = cursor && cursor.direction === 'prev';
+  const hasMore = rows.length > limit;
+  const items = hasMore
+    ? (backwards ? rows.slice(1) : rows.slice(0, limit))
+    : rows;
+
+  if (items.length === 0) {
+    return { items, nextCursor: null, prevCursor: null };
+  }
+
+  // Paging back always leaves the cursor row after the page, paging forward
+  // always leaves it before
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor) || hasPrevious;
+  return {
+    items,
+    nextCursor: hasNext ? encodeCursor(items[items.length - 1].id, 'next') : null,
+    prevCursor: hasPrev ? encodeCursor(items[0].id, 'prev') : null
+  };
+};
+
+// Link to the same request with the pagination replaced by a cursor
+const cursorLink = (req, cursor) => {
+  if (!cursor) {
+    return null;
+  }
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.delete('page');
+  url.searchParams.set('cursor', cursor);
+  return `${url.pathname}${url.search}`;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  parseSort,
+  sortOrder,
+  decodeCursor,
+  pageQuery,
+  pageCursors,
+  cursorLink
+};
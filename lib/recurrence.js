@@ -0,0 +1,189 @@
+/**
+ * Recurrence rules for repeating todos, a subset of RFC 5545 RRULE:
+ *
+ *   FREQ=DAILY;INTERVAL=2                 every other day
+ *   FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10      Mondays and Thursdays, ten times in all
+ *   FREQ=MONTHLY;UNTIL=20261231           monthly until the end of 2026
+ *
+ * FREQ is DAILY, WEEKLY or MONTHLY; INTERVAL (default 1) skips periods;
+ * BYDAY lists weekdays for weekly rules; COUNT or UNTIL ends the series.
+ *
+ * Occurrences are computed in UTC from the series anchor (the first
+ * occurrence) and keep its time of day. Weeks start on Monday, and monthly
+ * rules skip months without the anchor's day, as RFC 5545 does.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods to look ahead for an occurrence; only sparse monthly rules
+// (e.g. every 12 months on February 29th) skip more than a couple
+const MAX_PERIODS = 100;
+
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceError';
+  }
+}
+
+const positiveInt = (name, value) => {
+  if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+    throw new RecurrenceError(`${name} expects a positive integer, got "${value}"`);
+  }
+  return parseInt(value);
+};
+
+// UNTIL as a date (the whole day counts) or a UTC date-time
+const untilDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    throw new RecurrenceError(`UNTIL expects YYYYMMDD or YYYYMMDDTHHMMSSZ, got "${value}"`);
+  }
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  const date = match[4] === undefined
+    ? new Date(Date.UTC(year, month - 1, day, 23, 59, 59, 999))
+    : new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw new RecurrenceError(`UNTIL is not a valid date: "${value}"`);
+  }
+  return date;
+};
+
+// "FREQ=WEEKLY;BYDAY=MO" -> { freq, interval, byDay, count, until }; throws a RecurrenceError
+const parseRule = (text) => {
+  const rule = { freq: null, interval: 1, byDay: null, count: null, until: null };
+  const seen = new Set();
+
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value, ...rest] = part.split('=');
+    const name = key.trim().toUpperCase();
+    if (value === undefined || rest.length > 0) {
+      throw new RecurrenceError(`Expected NAME=VALUE, got "${part}"`);
+    }
+    if (seen.has(name)) {
+      throw new RecurrenceError(`${name} is given more than once`);
+    }
+    seen.add(name);
+
+    const upper = value.trim().toUpperCase();
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(upper)) {
+          throw new RecurrenceError(`FREQ expects any of ${FREQUENCIES.join(', ')}, got "${value}"`);
+        }
+        rule.freq = upper;
+        break;
+      case 'INTERVAL':
+        rule.interval = positiveInt(name, upper);
+        break;
+      case 'COUNT':
+        rule.count = positiveInt(name, upper);
+        break;
+      case 'UNTIL':
+        rule.until = untilDate(upper);
+        break;
+      case 'BYDAY': {
+        const days = upper.split(',').map(day => day.trim());
+        const unknown = days.filter(day => !WEEKDAYS.includes(day));
+        if (unknown.length > 0) {
+          throw new RecurrenceError(`BYDAY expects any of ${WEEKDAYS.join(', ')}, got "${unknown.join(', ')}"`);
+        }
+        rule.byDay = WEEKDAYS.filter(day => days.includes(day));
+        break;
+      }
+      default:
+        throw new RecurrenceError(`Unsupported rule part "${name}"; use FREQ, INTERVAL, BYDAY, COUNT or UNTIL`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new RecurrenceError('FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new RecurrenceError('COUNT and UNTIL can\'t be combined');
+  }
+  if (rule.byDay && rule.freq !== 'WEEKLY') {
+    throw new RecurrenceError('BYDAY is only supported with FREQ=WEEKLY');
+  }
+  return rule;
+};
+
+// Canonical text of a parsed rule, the form series store
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay) {
+    parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+// Monday = 0
+const weekdayIndex = (date) => (date.getUTCDay() + 6) % 7;
+
+// Occurrences falling in the k-th period after the anchor's, in order
+const periodOccurrences = (rule, anchor, k) => {
+  switch (rule.freq) {
+    case 'DAILY':
+      return [new Date(anchor.getTime() + k * rule.interval * DAY_MS)];
+    case 'WEEKLY': {
+      const weekStart = anchor.getTime() - weekdayIndex(anchor) * DAY_MS + k * rule.interval * 7 * DAY_MS;
+      const days = rule.byDay ? rule.byDay.map(day => WEEKDAYS.indexOf(day)) : [weekdayIndex(anchor)];
+      return days.map(day => new Date(weekStart + day * DAY_MS));
+    }
+    default: {
+      const date = new Date(anchor.getTime());
+      date.setUTCDate(1);
+      date.setUTCMonth(anchor.getUTCMonth() + k * rule.interval);
+      date.setUTCDate(anchor.getUTCDate());
+      // Rolled over into the next month: this month has no such day
+      return date.getUTCDate() === anchor.getUTCDate() ? [date] : [];
+    }
+  }
+};
+
+// The first occurrence after `after`, or null once the series is over.
+// `occurrences` is how many the series has produced so far, for COUNT.
+const nextOccurrence = (rule, anchor, after, occurrences = 1) => {
+  if (rule.count && occurrences >= rule.count) {
+    return null;
+  }
+
+  // Start a period short of `after` rather than walking from the anchor
+  const elapsed = after.getTime() - anchor.getTime();
+  let first = 0;
+  if (rule.freq === 'DAILY') {
+    first = Math.floor(elapsed / (rule.interval * DAY_MS)) - 1;
+  } else if (rule.freq === 'WEEKLY') {
+    first = Math.floor(elapsed / (rule.interval * 7 * DAY_MS)) - 1;
+  } else {
+    const months = (after.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + after.getUTCMonth() - anchor.getUTCMonth();
+    first = Math.floor(months / rule.interval) - 1;
+  }
+
+  for (let k = Math.max(first, 0); k < Math.max(first, 0) + MAX_PERIODS; k++) {
+    const next = periodOccurrences(rule, anchor, k).find(date => date > after && date >= anchor);
+    if (next) {
+      return rule.until && next > rule.until ? null : next;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  RecurrenceError,
+  parseRule,
+  formatRule,
+  nextOccurrence
+};
@@ -0,0 +1,137 @@
+/**
+ * Reminder scheduler.
+ *
+ * Every REMINDER_INTERVAL_SECONDS the scheduler looks for open todos whose
+ * due date is one of the REMINDER_OFFSETS away (e.g. "1d,1h,0" - a day
+ * before, an hour before and when due) and records a ReminderEvent for each.
+ *
+ * An event is unique per todo, offset and due date, so a reminder fires once
+ * even with several API instances running, and fires again if the due date
+ * moves. Reminders missed by more than REMINDER_LOOKBACK_HOURS (e.g. while
+ * the API was down) are skipped rather than delivered late in a burst.
+ */
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+
+// "1d,2h,30m,0" -> [1440, 120, 30, 0]; throws on anything else
+const parseOffsets = (value) => value
+  .split(',')
+  .map(offset => offset.trim())
+  .filter(Boolean)
+  .map(offset => {
+    const match = /^(\d+)([mhdw]?)$/.exec(offset);
+    if (!match || (match[2] === '' && match[1] !== '0')) {
+      throw new Error(`Invalid reminder offset "${offset}"; use a number followed by m, h, d or w, or 0`);
+    }
+    return parseInt(match[1]) * (UNIT_MINUTES[match[2]] || 0);
+  });
+
+// 1440 -> "1d", the reverse of parseOffsets
+const formatOffset = (minutes) => {
+  if (minutes === 0) {
+    return '0';
+  }
+  const [unit, unitMinutes] = Object.entries(UNIT_MINUTES)
+    .reverse()
+    .find(([, candidate]) => minutes % candidate === 0);
+  return `${minutes / unitMinutes}${unit}`;
+};
+
+const createReminderScheduler = (prisma, {
+  offsets = parseOffsets(process.env.REMINDER_OFFSETS !== undefined ? process.env.REMINDER_OFFSETS : '1d,1h'),
+  intervalSeconds = parseInt(process.env.REMINDER_INTERVAL_SECONDS) || 60,
+  lookbackHours = parseInt(process.env.REMINDER_LOOKBACK_HOURS) || 24
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  // Record the reminders that came due since the last run; returns the new events
+  const runOnce = async (now = new Date()) => {
+    const created = [];
+
+    for (const offsetMinutes of offsets) {
+      // remindAt = dueAt - offset must fall within the lookback window ending now
+      const offsetMs = offsetMinutes * 60 * 1000;
+      const todos = await prisma.todo.findMany({
+        where: {
+          deletedAt: null,
+          completed: false,
+          dueAt: {
+            gt: new Date(now.getTime() - lookbackHours * 60 * 60 * 1000 + offsetMs),
+            lte: new Date(now.getTime() + offsetMs)
+          }
+        },
+        select: {
+          id: true,
+          title: true,
+          dueAt: true
+        }
+      });
+      if (todos.length === 0) {
+        continue;
+      }
+
+      // Events that already exist are skipped by the unique constraint
+      const events = await prisma.reminderEvent.createManyAndReturn({
+        data: todos.map(todo => ({
+          todoId: todo.id,
+          offsetMinutes,
+          dueAt: todo.dueAt,
+          remindAt: new Date(todo.dueAt.getTime() - offsetMs)
+        })),
+        skipDuplicates: true
+      });
+
+      for (const event of events) {
+        const todo = todos.find(t => t.id === event.todoId);
+        console.log(`⏰ Reminder: todo #${todo.id} ${todo.title} is due ${offsetMinutes === 0 ? 'now' : `in ${formatOffset(offsetMinutes)}`} (${todo.dueAt.toISOString()})`);
+      }
+      created.push(...events);
+    }
+
+    return created;
+  };
+
+  // Ticks never overlap; a failed run is logged and retried on the next tick
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('⚠️ Reminder run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    offsets,
+
+    start() {
+      if (timer || offsets.length === 0) {
+        return false;
+      }
+      timer = setInterval(tick, intervalSeconds * 1000);
+      // Reminders alone shouldn't keep the process alive
+      timer.unref();
+      tick();
+      return true;
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    runOnce
+  };
+};
+
+module.exports = {
+  parseOffsets,
+  formatOffset,
+  createReminderScheduler
+};
@@ -0,0 +1,165 @@
+const { Prisma } = require('@prisma/client');
+const { visibleTodoSql } = require('./access');
+
+/**
+ * Full-text search over todos using the generated "searchVector" columns
+ * (see the full_text_search migration): todo title (weight A) and
+ * description (B), tag names (B) and note content (C).
+ *
+ * A todo matches if any of these match; its rank is the sum of the rank of
+ * its own text, its best matching note and its best matching tag. Queries use
+ * websearch syntax: `"exact phrase"`, `-excluded`, `this or that`.
+ *
+ * Highlights are HTML: the stored text is escaped before the matches are
+ * wrapped in <mark>, so they can be rendered as markup as they are. Every
+ * other field, tag names included, is plain text.
+ */
+
+// Text search configuration; must match the one the migration generates the columns with
+const SEARCH_CONFIG = 'english';
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+const tsquery = (q) => Prisma.sql`websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${q})`;
+
+// ts_headline of a text column, escaped so the <mark> tags are the only
+// markup in it. The parser reads the escapes as entities, which matching
+// ignores and fragments never split.
+const headline = (column) => Prisma.sql`ts_headline(
+  ${SEARCH_CONFIG}::regconfig,
+  replace(replace(replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;'),
+  query.q,
+  ${HEADLINE_OPTIONS}
+)`;
+
+// Ids, ranks and the total count of the live todos visible to the user that
+// match. Candidates come from one lookup per search vector so each can use
+// its GIN index; only those candidates are ranked.
+const rankedMatches = (prisma, user, q, skip, take) => prisma.$queryRaw`
+  WITH query AS (
+    SELECT ${tsquery(q)} AS q
+  ),
+  candidates AS (
+    SELECT t."id" FROM "todos" t WHERE t."searchVector" @@ ${tsquery(q)}
+    UNION
+    SELECT n."todoId" FROM "notes" n WHERE n."searchVector" @@ ${tsquery(q)}
+    UNION
+    SELECT tt."todoId"
+    FROM "tags" g
+    JOIN "tags_on_todos" tt ON tt."tagId" = g."id"
+    WHERE g."searchVector" @@ ${tsquery(q)}
+  ),
+  ranked AS (
+    SELECT
+      t."id",
+      ts_rank(t."searchVector", query.q) + COALESCE(note_match.rank, 0) + COALESCE(tag_match.rank, 0) AS rank
+    FROM candidates c
+    JOIN "todos" t ON t."id" = c."id"
+    CROSS JOIN query
+    LEFT JOIN LATERAL (
+      SELECT max(ts_rank(n."searchVector", query.q)) AS rank
+      FROM "notes" n
+      WHERE n."todoId" = t."id" AND n."searchVector" @@ query.q
+    ) note_match ON true
+    LEFT JOIN LATERAL (
+      SELECT max(ts_rank(g."searchVector", query.q)) AS rank
+      FROM "tags_on_todos" tt
+      JOIN "tags" g ON g."id" = tt."tagId"
+      WHERE tt."todoId" = t."id" AND g."searchVector" @@ query.q
+    ) tag_match ON true
+    WHERE t."deletedAt" IS NULL
+      AND ${visibleTodoSql(user)}
+  )
+  SELECT "id", rank, count(*) OVER () AS total
+  FROM ranked
+  ORDER BY rank DESC, "id" DESC
+  LIMIT ${take} OFFSET ${skip}
+`;
+
+// Highlighted title and description of the given todos
+const todoHeadlines = (prisma, q, ids) => prisma.$queryRaw`
+  SELECT
+    t."id",
+    ${headline(Prisma.sql`t."title"`)} AS title,
+    CASE WHEN t."description" IS NULL THEN NULL
+      ELSE ${headline(Prisma.sql`t."description"`)}
+    END AS description
+  FROM "todos" t, (SELECT ${tsquery(q)} AS q) query
+  WHERE t."id" IN (${Prisma.join(ids)})
+`;
+
+// Highlighted snippets of the matching notes of the given todos, best first
+const noteSnippets = (prisma, q, ids) => prisma.$queryRaw`
+  SELECT
+    n."id",
+    n."todoId",
+    ${headline(Prisma.sql`n."content"`)} AS snippet
+  FROM "notes" n, (SELECT ${tsquery(q)} AS q) query
+  WHERE n."todoId" IN (${Prisma.join(ids)}) AND n."searchVector" @@ query.q
+  ORDER BY ts_rank(n."searchVector", query.q) DESC
+`;
+
+// Matching tags of the given todos
+const matchingTags = (prisma, q, ids) => prisma.$queryRaw`
+  SELECT tt."todoId", g."id", g."name"
+  FROM "tags_on_todos" tt
+  JOIN "tags" g ON g."id" = tt."tagId",
+  (SELECT ${tsquery(q)} AS q) query
+  WHERE tt."todoId" IN (${Prisma.join(ids)}) AND g."searchVector" @@ query.q
+`;
+
+// One page of ranked search results with highlights, and the total number of matches
+const searchTodos = async (prisma, user, { q, skip, take }) => {
+  const matches = await rankedMatches(prisma, user, q, skip, take);
+  if (matches.length === 0) {
+    // Past the last page the window count is lost with the rows; fetch it from the first
+    const first = skip > 0 ? await rankedMatches(prisma, user, q, 0, 1) : [];
+    return { total: first.length > 0 ? Number(first[0].total) : 0, results: [] };
+  }
+
+  const ids = matches.map(match => match.id);
+  const [todos, headlines, notes, tags] = await Promise.all([
+    prisma.todo.findMany({
+      where: { id: { in: ids } },
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        completed: true,
+        priority: true,
+        userId: true,
+        categoryId: true,
+        updatedAt: true
+      }
+    }),
+    todoHeadlines(prisma, q, ids),
+    noteSnippets(prisma, q, ids),
+    matchingTags(prisma, q, ids)
+  ]);
+
+  const results = matches.map(({ id, rank }) => {
+    const headline = headlines.find(h => h.id === id);
+    return {
+      ...todos.find(todo => todo.id === id),
+      rank: Number(rank),
+      highlights: {
+        title: headline.title,
+        description: headline.description,
+        notes: notes
+          .filter(note => note.todoId === id)
+          .map(note => ({ noteId: note.id, snippet: note.snippet })),
+        tags: tags
+          .filter(tag => tag.todoId === id)
+          .map(tag => ({ id: tag.id, name: tag.name }))
+      }
+    };
+  });
+
+  // count(*) comes back as a BigInt
+  return { total: Number(matches[0].total), results };
+};
+
+module.exports = {
+  SEARCH_CONFIG,
+  searchTodos
+};
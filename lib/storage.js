@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Attachment storage drivers.
+ *
+ * Every driver exposes the same async interface so the API never touches the
+ * underlying medium directly:
+ *   save(key, buffer)      - persist the bytes under key
+ *   stat(key)              - { size } for a stored object, or null if it is missing
+ *   createReadStream(key)  - readable stream of the stored bytes
+ *   remove(key)            - delete the object; missing objects are ignored
+ *
+ * Keys are the values kept in Attachment.filepath.
+ */
+
+// Store attachments as plain files below a root directory
+const createLocalDiskStorage = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  // Keys that would escape the root (including legacy absolute paths such as
+  // the seeded "/uploads/..." values) are treated as not stored here
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    return filePath.startsWith(rootDir + path.sep) ? filePath : null;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      if (!filePath) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async stat(key) {
+      const filePath = resolveKey(key);
+      if (!filePath) {
+        return null;
+      }
+      try {
+        const stats = await fs.promises.stat(filePath);
+        return { size: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    createReadStream(key) {
+      const filePath = resolveKey(key);
+      if (!filePath) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      const filePath = resolveKey(key);
+      if (!filePath) {
+        return;
+      }
+      try {
+        await fs.promises.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  };
+};
+
+const drivers = {
+  local: () => createLocalDiskStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')
+  })
+};
+
+// Build the driver named by STORAGE_DRIVER (defaults to local disk)
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createStorage,
+  createLocalDiskStorage
+};
@@ -0,0 +1,478 @@
+const { z } = require('zod');
+const { SORT_FIELDS, parseSort, decodeCursor } = require('./pagination');
+const { TODO_FIELDS, TODO_RELATIONS } = require('./fields');
+const { PRIORITIES, FilterError, compileFilters } = require('./filters');
+const { RecurrenceError, parseRule, formatRule } = require('./recurrence');
+
+/**
+ * Request validation.
+ *
+ * Every route declares schemas for its params, query and body; validate()
+ * checks all three before the handler runs and answers 400 with one entry
+ * per problem:
+ *
+ *   { error: 'Validation failed', code: 'VALIDATION_FAILED',
+ *     details: [{ location: 'body', field: 'priority', code: 'invalid_value', message: '...' }] }
+ *
+ * Objects are strict, so unknown fields are rejected too (code 'unknown_field').
+ * A location without a schema must be empty. Parsed values replace the raw
+ * ones, so numeric params and query values arrive as numbers; query flags
+ * stay 'true' / 'false' strings.
+ */
+
+// Values of the Role enum
+const ROLES = ['USER', 'ADMIN'];
+
+// How todos that depend on a deleted todo are handled:
+//   block  - refuse the delete while anything depends on the todo
+//   detach - drop the edge so dependents simply lose the prerequisite (default)
+//   rewire - drop the edge and make dependents depend on the deleted todo's own prerequisites
+const DEPENDENT_STRATEGIES = ['block', 'detach', 'rewire'];
+
+// Operations of POST /api/todos/bulk, with the body field each one takes
+const BULK_OPERATIONS = {
+  complete: null,
+  reopen: null,
+  setPriority: 'priority',
+  setCategory: 'categoryId',
+  setUser: 'userId',
+  addTags: 'tagIds',
+  removeTags: 'tagIds',
+  delete: null
+};
+const BULK_ARGUMENTS = ['priority', 'categoryId', 'userId', 'tagIds', 'force'];
+
+// Numeric strings (params, query, older clients) are accepted wherever a number is
+const numeric = (schema) => z.preprocess(
+  value => typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value,
+  schema
+);
+
+const id = numeric(z.number().int().positive());
+const ids = z.array(id);
+const text = z.string().regex(/\S/, 'Must not be blank');
+const flag = z.enum(['true', 'false']);
+// ISO 8601 date or date-time, decoded into a Date
+const timestamp = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}/, 'Expected an ISO 8601 date')
+  .refine(value => !isNaN(new Date(value).getTime()), 'Expected an ISO 8601 date')
+  .transform(value => new Date(value));
+
+const count = (min, max = Infinity) => numeric(z.number().int().min(min).max(max));
+const pagination = {
+  page: count(1).optional(),
+  limit: count(1).optional()
+};
+
+// Largest page a todo listing returns
+const TODO_LIST_MAX_LIMIT = parseInt(process.env.TODO_LIST_MAX_LIMIT) || 100;
+
+// Most todos a bulk operation may touch, whether picked by id or by filter
+const BULK_MAX_TODOS = parseInt(process.env.BULK_MAX_TODOS) || 500;
+
+// Search results are assembled with several queries per page, so pages stay small
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_QUERY_MAX_LENGTH = 200;
+
+const sort = z.string().refine(value => parseSort(value) !== null,
+  `Expected a comma-separated list of ${SORT_FIELDS.join(', ')}, each at most once and optionally prefixed with -`);
+// Decoded into { id, direction }
+const cursor = z.string().transform((value, ctx) => {
+  const decoded = decodeCursor(value);
+  if (!decoded) {
+    ctx.addIssue({ code: 'custom', message: 'Invalid cursor' });
+    return z.NEVER;
+  }
+  return decoded;
+});
+
+// Comma-separated names out of a fixed set, decoded into an array
+const listOf = (allowed) => z.string().transform((value, ctx) => {
+  const names = [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+  const unknown = names.filter(name => !allowed.includes(name));
+  if (unknown.length > 0) {
+    ctx.addIssue({ code: 'custom', message: `Unknown ${unknown.join(', ')}; expected any of ${allowed.join(', ')}` });
+    return z.NEVER;
+  }
+  return names;
+});
+const todoProjection = {
+  fields: listOf(TODO_FIELDS).optional(),
+  expand: listOf(TODO_RELATIONS).optional()
+};
+
+// Filters shared by the todo list and its stats; lib/filters.js checks the values
+const todoFilters = {
+  completed: flag.optional(),
+  search: z.string().optional(),
+  priority: z.string().optional(),
+  category: z.string().optional(),
+  user: z.string().optional(),
+  parent: z.string().optional(),
+  tag: z.string().optional(),
+  tagMatch: z.string().optional(),
+  state: z.string().optional(),
+  createdAfter: z.string().optional(),
+  createdBefore: z.string().optional(),
+  updatedAfter: z.string().optional(),
+  updatedBefore: z.string().optional(),
+  due: z.string().optional(),
+  dueAfter: z.string().optional(),
+  dueBefore: z.string().optional(),
+  filter: z.string().optional()
+};
+
+// Compile the filters once up front to report bad values; the handler compiles them again
+const checkFilters = (query, ctx) => {
+  try {
+    compileFilters(query);
+  } catch (error) {
+    if (!(error instanceof FilterError)) {
+      throw error;
+    }
+    ctx.addIssue({ code: 'custom', path: [error.field], message: error.message });
+  }
+};
+
+// Recurrence rule, decoded into its canonical text
+const rrule = z.string().transform((value, ctx) => {
+  try {
+    return formatRule(parseRule(value));
+  } catch (error) {
+    if (!(error instanceof RecurrenceError)) {
+      throw error;
+    }
+    ctx.addIssue({ code: 'custom', message: error.message });
+    return z.NEVER;
+  }
+});
+
+// A todo can't start after it's due
+const checkSchedule = (body, ctx) => {
+  if (body.startAt && body.dueAt && body.startAt > body.dueAt) {
+    ctx.addIssue({ code: 'custom', path: ['startAt'], message: 'startAt must not be after dueAt' });
+  }
+};
+
+// A bulk request picks todos one way and passes exactly the fields its operation takes
+const checkBulk = (body, ctx) => {
+  if ((body.ids === undefined) === (body.filter === undefined)) {
+    ctx.addIssue({ code: 'custom', path: ['ids'], message: 'Pass either ids or filter' });
+  }
+  const argument = BULK_OPERATIONS[body.operation];
+  if (argument && body[argument] === undefined) {
+    ctx.addIssue({ code: 'custom', path: [argument], message: `${body.operation} needs ${argument}` });
+  }
+  for (const field of BULK_ARGUMENTS) {
+    const used = field === argument || (field === 'force' && body.operation === 'complete');
+    if (body[field] !== undefined && !used) {
+      ctx.addIssue({ code: 'custom', path: [field], message: `${field} isn't used by ${body.operation}` });
+    }
+  }
+};
+
+const idParams = z.strictObject({ id });
+const empty = z.strictObject({});
+
+const schemas = {
+  listTodos: {
+    query: z.strictObject({
+      page: count(1).optional(),
+      limit: count(1, TODO_LIST_MAX_LIMIT).optional(),
+      cursor: cursor.optional(),
+      sort: sort.optional(),
+      ...todoProjection,
+      ...todoFilters,
+      includeStats: flag.optional()
+    }).superRefine(checkFilters).refine(query => !(query.cursor && query.page), {
+      message: 'Use either cursor or page, not both',
+      path: ['cursor']
+    })
+  },
+  todoStats: {
+    query: z.strictObject(todoFilters).superRefine(checkFilters)
+  },
+  search: {
+    query: z.strictObject({
+      q: text.max(SEARCH_QUERY_MAX_LENGTH),
+      page: count(1).optional(),
+      limit: count(1, SEARCH_MAX_LIMIT).optional()
+    })
+  },
+  dependencyOrder: {
+    query: z.strictObject({
+      ids: z.string().regex(/^\d+(,\d+)*$/, 'Expected a comma-separated list of todo IDs'),
+      includePrerequisites: flag.optional()
+    })
+  },
+  getTodo: {
+    params: idParams,
+    query: z.strictObject(todoProjection)
+  },
+  createTodo: {
+    body: z.strictObject({
+      title: text,
+      description: z.string().nullable().optional(),
+      priority: z.enum(PRIORITIES).optional(),
+      startAt: timestamp.nullable().optional(),
+      dueAt: timestamp.nullable().optional(),
+      categoryId: id.nullable().optional(),
+      userId: id.nullable().optional(),
+      tagIds: ids.optional(),
+      tagNames: z.array(text).optional(),
+      notes: z.array(text).optional(),
+      dependencies: ids.optional(),
+      recurrence: rrule.optional(),
+      parentId: id.nullable().optional()
+    }).superRefine(checkSchedule)
+  },
+  bulkTodos: {
+    body: z.strictObject({
+      ids: ids.min(1).max(BULK_MAX_TODOS).optional(),
+      filter: z.strictObject(todoFilters).superRefine(checkFilters).optional(),
+      operation: z.enum(Object.keys(BULK_OPERATIONS)),
+      priority: z.enum(PRIORITIES).optional(),
+      categoryId: id.nullable().optional(),
+      userId: id.nullable().optional(),
+      tagIds: ids.min(1).optional(),
+      force: z.boolean().optional()
+    }).superRefine(checkBulk)
+  },
+  updateTodo: {
+    params: idParams,
+    body: z.strictObject({
+      title: text.optional(),
+      description: z.string().nullable().optional(),
+      completed: z.boolean().optional(),
+      priority: z.enum(PRIORITIES).optional(),
+      startAt: timestamp.nullable().optional(),
+      dueAt: timestamp.nullable().optional(),
+      categoryId: id.nullable().optional(),
+      userId: id.nullable().optional(),
+      tagIds: ids.optional(),
+      notes: z.array(text).optional(),
+      dependencies: ids.optional(),
+      removeTags: ids.optional(),
+      removeNotes: ids.optional(),
+      removeDependencies: ids.optional(),
+      force: z.boolean().optional(),
+      cascade: z.boolean().optional()
+    }).superRefine(checkSchedule)
+  },
+  deleteTodo: {
+    params: idParams,
+    query: z.strictObject({
+      strategy: z.enum(DEPENDENT_STRATEGIES).optional(),
+      permanent: flag.optional()
+    })
+  },
+  toggleTodo: {
+    params: idParams,
+    query: z.strictObject({
+      force: flag.optional(),
+      cascade: flag.optional()
+    })
+  },
+  moveTodo: {
+    params: idParams,
+    body: z.strictObject({ parentId: id.nullable() })
+  },
+  dependencyGraph: {
+    params: idParams,
+    query: z.strictObject({
+      direction: z.enum(['upstream', 'downstream', 'both']).optional(),
+      depth: count(1).optional()
+    })
+  },
+  todoReminders: {
+    params: idParams,
+    query: z.strictObject(pagination)
+  },
+  todoHistory: {
+    params: idParams,
+    query: z.strictObject({
+      ...pagination,
+      field: z.string().optional(),
+      action: z.string().optional(),
+      view: z.enum(['diff']).optional()
+    })
+  },
+  revertTodo: {
+    params: idParams,
+    body: z.strictObject({ historyId: id })
+  },
+  listShares: { params: idParams },
+  createShare: {
+    params: idParams,
+    body: z.strictObject({ userId: id })
+  },
+  deleteShare: { params: z.strictObject({ id, userId: id }) },
+  listNotes: {
+    params: idParams,
+    query: z.strictObject(pagination)
+  },
+  createNote: {
+    params: idParams,
+    body: z.strictObject({ content: text })
+  },
+  updateNote: {
+    params: z.strictObject({ id, noteId: id }),
+    body: z.strictObject({ content: text })
+  },
+  deleteNote: { params: z.strictObject({ id, noteId: id }) },
+  listAttachments: { params: idParams },
+  // Runs before the multipart body is parsed; the upload middleware checks the file
+  uploadAttachment: { params: idParams },
+  attachment: { params: z.strictObject({ id, attachmentId: id }) },
+  createSeries: {
+    body: z.strictObject({
+      todoId: id,
+      rule: rrule
+    })
+  },
+  getSeries: { params: idParams },
+  updateSeries: {
+    params: idParams,
+    body: z.strictObject({ rule: rrule })
+  },
+  stopSeries: { params: idParams },
+  listTrash: { query: z.strictObject(pagination) },
+  restoreTodo: { params: idParams },
+  purgeTrash: {
+    query: z.strictObject({
+      strategy: z.enum(DEPENDENT_STRATEGIES).optional(),
+      olderThanDays: count(0).optional()
+    })
+  },
+  noInput: {},
+  createApiKey: {
+    body: z.strictObject({
+      name: text,
+      expiresInDays: count(1).optional()
+    })
+  },
+  revokeApiKey: { params: idParams },
+  listUsers: {
+    query: z.strictObject({
+      ...pagination,
+      search: z.string().optional()
+    })
+  },
+  getUser: { params: idParams },
+  userTodos: {
+    params: idParams,
+    query: z.strictObject({
+      ...pagination,
+      completed: flag.optional()
+    })
+  },
+  createUser: {
+    body: z.strictObject({
+      name: text,
+      email: z.email(),
+      role: z.enum(ROLES).optional()
+    })
+  },
+  updateUser: {
+    params: idParams,
+    body: z.strictObject({
+      name: text.optional(),
+      email: z.email().optional(),
+      role: z.enum(ROLES).optional()
+    })
+  },
+  deleteUser: {
+    params: idParams,
+    query: z.strictObject({
+      todoPolicy: z.enum(['block', 'orphan', 'reassign']).optional(),
+      reassignTo: id.optional()
+    })
+  },
+  getCategory: { params: idParams },
+  createCategory: {
+    body: z.strictObject({
+      name: text,
+      description: z.string().nullable().optional()
+    })
+  },
+  updateCategory: {
+    params: idParams,
+    body: z.strictObject({
+      name: text.optional(),
+      description: z.string().nullable().optional()
+    })
+  },
+  deleteCategory: {
+    params: idParams,
+    query: z.strictObject({
+      todoPolicy: z.enum(['clear', 'reassign']).optional(),
+      reassignTo: id.optional()
+    })
+  },
+  listTags: {
+    query: z.strictObject({ search: z.string().optional() })
+  },
+  getTag: { params: idParams },
+  createTag: {
+    body: z.strictObject({ name: text })
+  },
+  updateTag: {
+    params: idParams,
+    body: z.strictObject({ name: text })
+  },
+  deleteTag: { params: idParams },
+  mergeTag: {
+    params: idParams,
+    body: z.strictObject({ targetId: id })
+  }
+};
+
+// Flatten zod issues into response details; unknown keys get one entry each
+const toDetails = (location, issues) => issues.flatMap(issue => {
+  if (issue.code === 'unrecognized_keys') {
+    return issue.keys.map(key => ({
+      location,
+      field: [...issue.path, key].join('.'),
+      code: 'unknown_field',
+      message: `Unknown field "${key}"`
+    }));
+  }
+  return [{
+    location,
+    field: issue.path.join('.'),
+    code: issue.code,
+    message: issue.message
+  }];
+});
+
+// Middleware checking params, query and body against a route's schemas
+const validate = ({ params = empty, query = empty, body = empty }) => (req, res, next) => {
+  const details = [];
+  const parsed = {};
+
+  for (const [location, schema] of Object.entries({ params, query, body })) {
+    const result = schema.safeParse(req[location] || {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      details.push(...toDetails(location, result.error.issues));
+    }
+  }
+
+  if (details.length > 0) {
+    console.log(`❌ Validation failed: ${details.map(d => `${d.location}.${d.field}`).join(', ')}`);
+    return res.status(400).json({ error: 'Validation failed', code: 'VALIDATION_FAILED', details });
+  }
+
+  Object.assign(req, parsed);
+  next();
+};
+
+module.exports = {
+  PRIORITIES,
+  ROLES,
+  DEPENDENT_STRATEGIES,
+  BULK_MAX_TODOS,
+  schemas,
+  validate
+};
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "todo_history" ADD COLUMN     "actorId" INTEGER,
+ADD COLUMN     "changes" JSONB,
+ADD COLUMN     "requestId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "todo_history_todoId_createdAt_idx" ON "todo_history"("todoId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "todo_history" ADD CONSTRAINT "todo_history_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "Role" AS ENUM ('USER', 'ADMIN');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "role" "Role" NOT NULL DEFAULT 'USER';
+
+-- CreateTable
+CREATE TABLE "todo_shares" (
+    "todoId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "todo_shares_pkey" PRIMARY KEY ("todoId","userId")
+);
+
+-- CreateIndex
+CREATE INDEX "todo_shares_userId_idx" ON "todo_shares"("userId");
+
+-- AddForeignKey
+ALTER TABLE "todo_shares" ADD CONSTRAINT "todo_shares_todoId_fkey" FOREIGN KEY ("todoId") REFERENCES "todos"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "todo_shares" ADD CONSTRAINT "todo_shares_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
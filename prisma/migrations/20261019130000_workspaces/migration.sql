@@ -0,0 +1,59 @@
+-- CreateTable
+CREATE TABLE "workspaces" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workspaces_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspaces_slug_key" ON "workspaces"("slug");
+
+-- Existing data moves into a default workspace
+INSERT INTO "workspaces" ("name", "slug", "updatedAt") VALUES ('Default', 'default', CURRENT_TIMESTAMP);
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "workspaceId" INTEGER;
+ALTER TABLE "categories" ADD COLUMN     "workspaceId" INTEGER;
+ALTER TABLE "tags" ADD COLUMN     "workspaceId" INTEGER;
+ALTER TABLE "todos" ADD COLUMN     "workspaceId" INTEGER;
+
+UPDATE "users" SET "workspaceId" = (SELECT "id" FROM "workspaces" WHERE "slug" = 'default');
+UPDATE "categories" SET "workspaceId" = (SELECT "id" FROM "workspaces" WHERE "slug" = 'default');
+UPDATE "tags" SET "workspaceId" = (SELECT "id" FROM "workspaces" WHERE "slug" = 'default');
+UPDATE "todos" SET "workspaceId" = (SELECT "id" FROM "workspaces" WHERE "slug" = 'default');
+
+ALTER TABLE "users" ALTER COLUMN "workspaceId" SET NOT NULL;
+ALTER TABLE "categories" ALTER COLUMN "workspaceId" SET NOT NULL;
+ALTER TABLE "tags" ALTER COLUMN "workspaceId" SET NOT NULL;
+ALTER TABLE "todos" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "tags_name_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tags_workspaceId_name_key" ON "tags"("workspaceId", "name");
+
+-- CreateIndex
+CREATE INDEX "users_workspaceId_idx" ON "users"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "categories_workspaceId_idx" ON "categories"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "todos_workspaceId_idx" ON "todos"("workspaceId");
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "categories" ADD CONSTRAINT "categories_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "tags" ADD CONSTRAINT "tags_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "todos" ADD CONSTRAINT "todos_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
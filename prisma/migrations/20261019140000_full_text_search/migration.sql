@@ -0,0 +1,27 @@
+-- Search vectors are generated columns, so PostgreSQL keeps them in sync on every write.
+-- The 'english' configuration must match SEARCH_CONFIG in lib/search.js.
+
+-- AlterTable
+ALTER TABLE "todos" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "notes" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("content", '')), 'C')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "tags" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("name", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "todos_searchVector_idx" ON "todos" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "notes_searchVector_idx" ON "notes" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "tags_searchVector_idx" ON "tags" USING GIN ("searchVector");
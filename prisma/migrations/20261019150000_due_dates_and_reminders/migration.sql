@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "todos" ADD COLUMN     "dueAt" TIMESTAMP(3),
+ADD COLUMN     "startAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "reminder_events" (
+    "id" SERIAL NOT NULL,
+    "todoId" INTEGER NOT NULL,
+    "offsetMinutes" INTEGER NOT NULL,
+    "dueAt" TIMESTAMP(3) NOT NULL,
+    "remindAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reminder_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "todos_dueAt_idx" ON "todos"("dueAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reminder_events_todoId_offsetMinutes_dueAt_key" ON "reminder_events"("todoId", "offsetMinutes", "dueAt");
+
+-- AddForeignKey
+ALTER TABLE "reminder_events" ADD CONSTRAINT "reminder_events_todoId_fkey" FOREIGN KEY ("todoId") REFERENCES "todos"("id") ON DELETE CASCADE ON UPDATE CASCADE;
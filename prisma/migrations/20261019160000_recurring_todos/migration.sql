@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "todos" ADD COLUMN     "seriesId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "todo_series" (
+    "id" SERIAL NOT NULL,
+    "rule" TEXT NOT NULL,
+    "anchorAt" TIMESTAMP(3) NOT NULL,
+    "occurrences" INTEGER NOT NULL DEFAULT 1,
+    "stoppedAt" TIMESTAMP(3),
+    "workspaceId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "todo_series_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "todos_seriesId_idx" ON "todos"("seriesId");
+
+-- CreateIndex
+CREATE INDEX "todo_series_workspaceId_idx" ON "todo_series"("workspaceId");
+
+-- AddForeignKey
+ALTER TABLE "todos" ADD CONSTRAINT "todos_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "todo_series"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "todo_series" ADD CONSTRAINT "todo_series_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "todos" ADD COLUMN     "parentId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "todos_parentId_idx" ON "todos"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "todos" ADD CONSTRAINT "todos_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "todos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
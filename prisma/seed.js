@@ -1,4 +1,5 @@
 const { PrismaClient, Priority } = require('@prisma/client');
+const { generateApiKey } = require('../lib/auth');
 
 const prisma = new PrismaClient();
 
@@ -8,6 +9,8 @@ async function main() {
   // Clear existing data
   console.log('🧹 Clearing existing data...');
   await prisma.$transaction([
+    prisma.apiKey.deleteMany(),
+    prisma.todoShare.deleteMany(),
     prisma.attachment.deleteMany(),
     prisma.todoHistory.deleteMany(),
     prisma.note.deleteMany(),
@@ -16,19 +19,28 @@ async function main() {
     prisma.todo.deleteMany(),
     prisma.category.deleteMany(),
     prisma.user.deleteMany(),
+    prisma.workspace.deleteMany(),
   ]);
 
+  // Create the workspace everything below belongs to
+  console.log('🏢 Creating sample workspace...');
+  const workspace = await prisma.workspace.create({
+    data: { name: 'Default', slug: 'default' }
+  });
+  const workspaceId = workspace.id;
+  console.log(`✅ Created workspace: ${workspace.name}`);
+
   // Create users
   console.log('👤 Creating sample users...');
   const users = [
     { name: 'John Doe', email: 'john@example.com' },
     { name: 'Jane Smith', email: 'jane@example.com' },
-    { name: 'Admin User', email: 'admin@example.com' },
+    { name: 'Admin User', email: 'admin@example.com', role: 'ADMIN' },
   ];
 
   const createdUsers = [];
   for (const user of users) {
-    const createdUser = await prisma.user.create({ data: user });
+    const createdUser = await prisma.user.create({ data: { ...user, workspaceId } });
     createdUsers.push(createdUser);
     console.log(`✅ Created user: ${createdUser.name}`);
   }
@@ -45,7 +57,7 @@ async function main() {
 
   const createdCategories = [];
   for (const category of categories) {
-    const createdCategory = await prisma.category.create({ data: category });
+    const createdCategory = await prisma.category.create({ data: { ...category, workspaceId } });
     createdCategories.push(createdCategory);
     console.log(`✅ Created category: ${createdCategory.name}`);
   }
@@ -67,13 +79,15 @@ async function main() {
 
   const createdTags = [];
   for (const tag of tags) {
-    const createdTag = await prisma.tag.create({ data: tag });
+    const createdTag = await prisma.tag.create({ data: { ...tag, workspaceId } });
     createdTags.push(createdTag);
     console.log(`✅ Created tag: ${createdTag.name}`);
   }
 
   // Create sample todos
   console.log('📝 Creating sample todos...');
+  // Due dates relative to seeding time, so there is always something overdue and something upcoming
+  const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
   const sampleTodos = [
     {
       title: 'Setup development environment',
@@ -104,6 +118,8 @@ async function main() {
       description: 'Implement proper request validation and error handling',
       completed: false,
       priority: Priority.MEDIUM,
+      startAt: daysFromNow(0),
+      dueAt: daysFromNow(7),
       userId: createdUsers[1].id,
       categoryId: createdCategories[0].id,
     },
@@ -144,6 +160,7 @@ async function main() {
       description: 'Check for leaks and repair if needed',
       completed: false,
       priority: Priority.URGENT,
+      dueAt: daysFromNow(-1),
       userId: createdUsers[0].id,
       categoryId: createdCategories[4].id,
     },
@@ -152,6 +169,7 @@ async function main() {
       description: 'Prepare agenda and send invites',
       completed: false,
       priority: Priority.HIGH,
+      dueAt: daysFromNow(2),
       userId: createdUsers[1].id,
       categoryId: createdCategories[0].id,
     },
@@ -160,7 +178,7 @@ async function main() {
   const createdTodos = [];
   for (const todo of sampleTodos) {
     const createdTodo = await prisma.todo.create({
-      data: todo
+      data: { ...todo, workspaceId }
     });
     createdTodos.push(createdTodo);
     console.log(`✅ Created todo: ${createdTodo.title}`);
@@ -271,6 +289,34 @@ async function main() {
     console.log(`✅ Added attachment to todo: ${createdTodos[i].title}`);
   }
 
+  // Share a few todos read-only with another user
+  console.log('🤝 Sharing todos...');
+  for (let i = 0; i < 3; i++) {
+    const sharedWith = createdUsers.find(user => user.id !== createdTodos[i].userId && user.role !== 'ADMIN');
+    await prisma.todoShare.create({
+      data: {
+        todoId: createdTodos[i].id,
+        userId: sharedWith.id
+      }
+    });
+    console.log(`✅ Shared todo ${createdTodos[i].title} with ${sharedWith.name}`);
+  }
+
+  // Create an API key per user so the API can be called right away
+  console.log('🔑 Creating API keys...');
+  for (const user of createdUsers) {
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    await prisma.apiKey.create({
+      data: {
+        name: 'Seed key',
+        keyPrefix,
+        keyHash,
+        userId: user.id
+      }
+    });
+    console.log(`✅ API key for ${user.email}: ${key}`);
+  }
+
   console.log('🎉 Seed completed successfully!');
 }
 
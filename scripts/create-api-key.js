@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+// Create an API key for a user from the command line, e.g. to bootstrap
+// access before any key exists:
+//   node scripts/create-api-key.js <user email> [key name]
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { generateApiKey } = require('../lib/auth');
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const [email, name = 'CLI key'] = process.argv.slice(2);
+  if (!email) {
+    console.error('Usage: node scripts/create-api-key.js <user email> [key name]');
+    process.exit(1);
+  }
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user) {
+    console.error(`❌ No user with email ${email}`);
+    process.exit(1);
+  }
+
+  const { key, keyPrefix, keyHash } = generateApiKey();
+  await prisma.apiKey.create({
+    data: {
+      name,
+      keyPrefix,
+      keyHash,
+      userId: user.id
+    }
+  });
+
+  console.log(`✅ Created API key "${name}" for ${user.email}`);
+  console.log(`🔑 ${key}`);
+  console.log('Store it now; only its hash is kept in the database.');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Failed to create API key:');
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
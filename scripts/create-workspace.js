@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+// Create a workspace with its first admin and an API key for them:
+//   node scripts/create-workspace.js <workspace name> <slug> <admin email> [admin name]
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { generateApiKey } = require('../lib/auth');
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const [name, slug, email, adminName = 'Admin'] = process.argv.slice(2);
+  if (!name || !slug || !email) {
+    console.error('Usage: node scripts/create-workspace.js <workspace name> <slug> <admin email> [admin name]');
+    process.exit(1);
+  }
+
+  const { key, keyPrefix, keyHash } = generateApiKey();
+  const workspace = await prisma.$transaction(async (tx) => {
+    const workspace = await tx.workspace.create({
+      data: { name, slug }
+    });
+
+    const admin = await tx.user.create({
+      data: {
+        name: adminName,
+        email,
+        role: 'ADMIN',
+        workspaceId: workspace.id
+      }
+    });
+
+    await tx.apiKey.create({
+      data: {
+        name: 'Workspace setup',
+        keyPrefix,
+        keyHash,
+        userId: admin.id
+      }
+    });
+
+    return workspace;
+  });
+
+  console.log(`✅ Created workspace "${workspace.name}" (${workspace.slug}) with admin ${email}`);
+  console.log(`🔑 ${key}`);
+  console.log('Store it now; only its hash is kept in the database.');
+}
+
+main()
+  .catch((e) => {
+    if (e.code === 'P2002') {
+      console.error('❌ That workspace slug or admin email is already taken');
+    } else {
+      console.error('❌ Failed to create workspace:');
+      console.error(e);
+    }
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
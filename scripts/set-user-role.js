@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+// Change a user's role from the command line, e.g. to create the first admin:
+//   node scripts/set-user-role.js <user email> <USER|ADMIN>
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const ROLES = ['USER', 'ADMIN'];
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set-user-role.js <user email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user) {
+    console.error(`❌ No user with email ${email}`);
+    process.exit(1);
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { role }
+  });
+
+  console.log(`✅ ${user.email} is now ${role}`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Failed to set role:');
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -1,165 +1,180 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { createStorage } = require('./lib/storage');
+const { FILE_TYPES, detectType, extensionMatches } = require('./lib/filetypes');
+const { walk, findDependencyCycle, topologicalOrder, openPrerequisites } = require('./lib/dependencies');
+const { generateApiKey, tokenSecret, signToken, createAuthenticator } = require('./lib/auth');
+const { isAdmin, inWorkspace, visibleTodoWhere, editableTodoWhere, canEditTodo } = require('./lib/access');
+const { sortIds, diffValues, snapshotTodo, creationChanges, relationIds, stateBefore, recordHistory, recordHistoryEntries, renderDiff } = require('./lib/history');
+const { BULK_MAX_TODOS, schemas, validate } = require('./lib/validation');
+const { translateError, sendError } = require('./lib/errors');
+const { DEFAULT_SORT, parseSort, sortOrder, pageQuery, pageCursors, cursorLink } = require('./lib/pagination');
+const { TODO_FIELDS, TODO_RELATIONS, todoSelect, presentTodo } = require('./lib/fields');
+const { compileFilters } = require('./lib/filters');
+const { searchTodos } = require('./lib/search');
+const { formatOffset, createReminderScheduler } = require('./lib/reminders');
+const { parseRule, nextOccurrence } = require('./lib/recurrence');
 
 const app = express();
 const prisma = new PrismaClient({
   log: ['query', 'info', 'warn', 'error'],
 });
+const storage = createStorage();
+const reminders = createReminderScheduler(prisma);
+
+// Dependency graph traversal limits
+const DEPENDENCY_GRAPH_DEFAULT_DEPTH = 5;
+const DEPENDENCY_GRAPH_MAX_DEPTH = 20;
+
+// Attachment upload limits
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const ATTACHMENT_ALLOWED_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES ||
+  'image/png,image/jpeg,image/gif,application/pdf,text/plain')
+  .split(',')
+  .map(type => type.trim());
+const uncheckedTypes = ATTACHMENT_ALLOWED_TYPES.filter(type => !FILE_TYPES[type]);
+if (uncheckedTypes.length > 0) {
+  throw new Error(`ATTACHMENT_ALLOWED_TYPES lists types whose content can't be checked: ${uncheckedTypes.join(', ')}`);
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_MAX_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ATTACHMENT_ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.code = 'UNSUPPORTED_MEDIA_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Browsers may only call the API from the origins listed in CORS_ORIGINS
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
+}));
 app.use(express.json());
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Tag every request with an id, echoed back for correlation
+app.use((req, res, next) => {
+  req.requestId = req.get('X-Request-Id') || crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+  next();
 });
 
-// GET all todos with complex queries
-app.get('/api/todos', async (req, res) => {
-  try {
-    console.log('🔍 Processing GET /api/todos with complex queries');
-    const { page = 1, limit = 10, completed, search, priority, category, user, tag } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const take = parseInt(limit);
-    
-    // 1. Get total count of todos
-    const totalTodosCount = await prisma.todo.count();
-    console.log(`📊 Total todos count: ${totalTodosCount}`);
-    
-    // 2. Get categories count
-    const categoriesCount = await prisma.category.count();
-    console.log(`📊 Categories count: ${categoriesCount}`);
-    
-    // 3. Get users count
-    const usersCount = await prisma.user.count();
-    console.log(`📊 Users count: ${usersCount}`);
-    
-    // 4. Get tags count
-    const tagsCount = await prisma.tag.count();
-    console.log(`📊 Tags count: ${tagsCount}`);
-    
-    // 5. Build complex where clause
-    let where = {};
-    
-    if (completed !== undefined) {
-      where.completed = completed === 'true';
-    }
-    
-    if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } }
-      ];
-    }
-    
-    if (priority) {
-      where.priority = priority;
-    }
-    
-    if (category) {
-      where.categoryId = parseInt(category);
-    }
-    
-    if (user) {
-      where.userId = parseInt(user);
+// Everything below /api requires an API key or bearer token; /health stays open.
+// The authenticated user is the actor of every history entry the request writes.
+app.use('/api', createAuthenticator(prisma));
+app.use('/api', (req, res, next) => {
+  req.audit = { actorId: req.user.id, requestId: req.requestId };
+  next();
+});
+
+// Todos in the trash carry a deletedAt timestamp; every read of live data filters on this
+const ACTIVE_TODO = { deletedAt: null };
+
+// Live todos the user may read; spread into todo where clauses (uses AND, so
+// it can sit next to an OR filter)
+const visibleTodos = (user) => ({ ...ACTIVE_TODO, AND: [visibleTodoWhere(user)] });
+
+// How long trashed todos are kept before a purge removes them for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// A bulk operation writes a history entry per todo and follows up completions,
+// which takes longer than the default 5 second transaction limit at scale
+const BULK_TRANSACTION_TIMEOUT_MS = 30 * 1000;
+
+// Count total and completed todos matching a where clause and derive the completion rate
+const getCompletionStats = async (where, client = prisma) => {
+  const total = await client.todo.count({
+    where: {
+      ...where,
+      ...ACTIVE_TODO
     }
-    
-    if (tag) {
-      where.tags = {
-        some: {
-          tagId: parseInt(tag)
-        }
-      };
+  });
+  const completed = await client.todo.count({
+    where: {
+      ...where,
+      ...ACTIVE_TODO,
+      completed: true
     }
-    
-    console.log(`🔍 Applied filters: ${JSON.stringify(where)}`);
-    
-    // 6. Get todos with pagination and filters
-    const todos = await prisma.todo.findMany({
+  });
+
+  return {
+    total,
+    completed,
+    completionRate: total > 0 ? ((completed / total) * 100).toFixed(2) : '0.00'
+  };
+};
+
+// Where clause for the todo list filters (see lib/filters.js), limited to the
+// live todos the user may read. Expects a query that passed validation.
+const todoListWhere = (user, query) => {
+  const { completed, search } = query;
+  const where = visibleTodos(user);
+  
+  if (completed !== undefined) {
+    where.completed = completed === 'true';
+  }
+  
+  if (search) {
+    where.OR = [
+      { title: { contains: search, mode: 'insensitive' } },
+      { description: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+  
+  // Multi-value, date range, dependency state and expression filters
+  where.AND.push(...compileFilters(query));
+  
+  return where;
+};
+
+// Dashboard aggregates over the todos matching a where clause: counts by
+// completion, priority and category, recently updated todos and the most used
+// tags. The queries don't depend on each other, so they run concurrently.
+const todoStats = async (user, where) => {
+  const [total, completed, overdue, priorityGroups, categoryGroups, categories, recentlyUpdated, tagUsage] = await Promise.all([
+    prisma.todo.count({ where }),
+    // AND keeps a completed filter in where from being overridden
+    prisma.todo.count({ where: { AND: [where, { completed: true }] } }),
+    prisma.todo.count({ where: { AND: [where, { completed: false, dueAt: { lt: new Date() } }] } }),
+    prisma.todo.groupBy({
+      by: ['priority'],
       where,
-      orderBy: { createdAt: 'desc' },
-      skip,
-      take,
-      include: {
-        category: true,
-        user: true,
-        tags: {
-          include: {
-            tag: true
-          }
-        },
-        notes: {
-          orderBy: {
-            createdAt: 'desc'
-          }
-        },
-        dependencies: {
-          select: {
-            id: true,
-            title: true
-          }
-        },
-        dependencyOf: {
-          select: {
-            id: true,
-            title: true
-          }
-        },
-        history: {
-          orderBy: {
-            createdAt: 'desc'
-          },
-          take: 5
-        },
-        attachments: true
-      }
-    });
-    console.log(`📋 Retrieved ${todos.length} todos with full relations`);
-    
-    // 7. Get filtered count (with the same where clause)
-    const filteredCount = await prisma.todo.count({ where });
-    console.log(`📊 Filtered todos count: ${filteredCount}`);
-    
-    // 8. Get completed todos count
-    const completedCount = await prisma.todo.count({ where: { completed: true } });
-    console.log(`📊 Completed todos count: ${completedCount}`);
-    
-    // 9. Get count by priority
-    const priorityCountsRaw = await prisma.$queryRaw`
-      SELECT "priority", COUNT(*) as "count" 
-      FROM "todos" 
-      GROUP BY "priority"
-    `;
-    
-    // Convert BigInt to Number for JSON serialization
-    const priorityCounts = priorityCountsRaw.map(item => ({
-      priority: item.priority,
-      count: Number(item.count)
-    }));
-    console.log(`📊 Todos by priority: ${JSON.stringify(priorityCounts)}`);
-    
-    // 10. Get count by category
-    const categoryCountsRaw = await prisma.$queryRaw`
-      SELECT c."name", COUNT(t."id") as "count" 
-      FROM "categories" c
-      LEFT JOIN "todos" t ON t."categoryId" = c."id"
-      GROUP BY c."id", c."name"
-    `;
-    
-    // Convert BigInt to Number for JSON serialization
-    const categoryCounts = categoryCountsRaw.map(item => ({
-      name: item.name,
-      count: Number(item.count)
-    }));
-    console.log(`📊 Todos by category: ${JSON.stringify(categoryCounts)}`);
-    
-    // 11. Get recently updated todos
-    const recentlyUpdated = await prisma.todo.findMany({
+      _count: { _all: true }
+    }),
+    prisma.todo.groupBy({
+      by: ['categoryId'],
+      where,
+      _count: { _all: true }
+    }),
+    prisma.category.findMany({
+      where: inWorkspace(user),
+      select: { id: true, name: true },
+      orderBy: { id: 'asc' }
+    }),
+    prisma.todo.findMany({
       where: {
+        ...where,
         updatedAt: {
           gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
         }
@@ -173,117 +188,706 @@ app.get('/api/todos', async (req, res) => {
         updatedAt: 'desc'
       },
       take: 5
-    });
-    console.log(`📋 Retrieved ${recentlyUpdated.length} recently updated todos`);
-    
-    // 12. Get most used tags
-    const mostUsedTags = await prisma.tag.findMany({
-      select: {
-        id: true,
-        name: true,
-        _count: {
-          select: {
-            todos: true
-          }
-        }
+    }),
+    prisma.tagsOnTodos.groupBy({
+      by: ['tagId'],
+      where: {
+        todo: where
+      },
+      _count: {
+        tagId: true
       },
       orderBy: {
-        todos: {
-          _count: 'desc'
+        _count: {
+          tagId: 'desc'
         }
       },
       take: 5
+    })
+  ]);
+  
+  const usedTags = await prisma.tag.findMany({
+    where: { id: { in: tagUsage.map(usage => usage.tagId) } },
+    select: {
+      id: true,
+      name: true
+    }
+  });
+  console.log(`📊 Computed stats over ${total} todos`);
+  
+  return {
+    stats: {
+      total,
+      completed,
+      completionRate: total > 0 ? ((completed / total) * 100).toFixed(2) : '0.00',
+      // Open todos past their due date
+      overdue,
+      byPriority: priorityGroups.map(group => ({
+        priority: group.priority,
+        count: group._count._all
+      })),
+      // Categories without matching todos are listed with a zero count
+      byCategory: categories.map(c => {
+        const group = categoryGroups.find(g => g.categoryId === c.id);
+        return {
+          name: c.name,
+          count: group ? group._count._all : 0
+        };
+      })
+    },
+    recentlyUpdated,
+    mostUsedTags: tagUsage.map(usage => ({
+      ...usedTags.find(tag => tag.id === usage.tagId),
+      count: usage._count.tagId
+    }))
+  };
+};
+
+// Parse a single multipart "file" field, mapping upload failures to HTTP errors.
+// The declared type must match the content and the file name's extension
+const handleUpload = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) {
+      if (req.file) {
+        const { mimetype, buffer, originalname } = req.file;
+        if (detectType(buffer) !== mimetype) {
+          return res.status(415).json({ error: `File content is not ${mimetype}`, code: 'UNSUPPORTED_MEDIA_TYPE', allowedTypes: ATTACHMENT_ALLOWED_TYPES });
+        }
+        if (!extensionMatches(mimetype, path.extname(originalname))) {
+          return res.status(415).json({ error: `File name ${originalname} doesn't fit type ${mimetype}`, code: 'UNSUPPORTED_MEDIA_TYPE', allowedTypes: ATTACHMENT_ALLOWED_TYPES });
+        }
+      }
+      return next();
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File exceeds the ${ATTACHMENT_MAX_BYTES} byte limit`, code: 'PAYLOAD_TOO_LARGE' });
+    }
+    if (err.code === 'UNSUPPORTED_MEDIA_TYPE') {
+      return res.status(415).json({ error: err.message, code: 'UNSUPPORTED_MEDIA_TYPE', allowedTypes: ATTACHMENT_ALLOWED_TYPES });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message, code: 'BAD_REQUEST' });
+    }
+    next(err);
+  });
+};
+
+// Delete the stored files behind attachment rows that no longer exist
+const removeStoredFiles = async (attachments) => {
+  for (const attachment of attachments) {
+    try {
+      await storage.remove(attachment.filepath);
+    } catch (error) {
+      console.error(`⚠️ Failed to remove stored file ${attachment.filepath}:`, error);
+    }
+  }
+  console.log(`🧹 Removed ${attachments.length} stored attachment files`);
+};
+
+// Render a list of todos as "#1 Title, #2 Title" for history descriptions
+// (todos without a title, such as blockers the user can't read, as "#3")
+const describeTodos = (todos) => todos.map(t => t.title === undefined ? `#${t.id}` : `#${t.id} ${t.title}`).join(', ');
+
+// Blockers as the user may see them: prerequisites they can't read are named by id only
+const visibleBlockers = async (user, blockers) => {
+  if (blockers.length === 0) {
+    return [];
+  }
+  const readable = await prisma.todo.findMany({
+    where: { id: { in: blockers.map(blocker => blocker.id) }, AND: [visibleTodoWhere(user)] },
+    select: { id: true }
+  });
+  const readableIds = readable.map(todo => todo.id);
+  return blockers.map(({ id, title, completed }) => readableIds.includes(id) ? { id, title, completed } : { id });
+};
+
+// Reopen every completed todo downstream of a reopened prerequisite that the
+// user may modify, recording why on each of them. Returns the reopened todos.
+const reopenDependents = async (tx, audit, prerequisite, user) => {
+  const { depths } = await walk(tx, [prerequisite.id], 'downstream', { where: ACTIVE_TODO });
+  depths.delete(prerequisite.id);
+
+  const completedDependents = await tx.todo.findMany({
+    where: {
+      id: { in: [...depths.keys()] },
+      ...ACTIVE_TODO,
+      ...editableTodoWhere(user),
+      completed: true
+    },
+    select: {
+      id: true,
+      title: true
+    }
+  });
+
+  if (completedDependents.length > 0) {
+    await tx.todo.updateMany({
+      where: { id: { in: completedDependents.map(t => t.id) } },
+      data: { completed: false }
+    });
+
+    for (const dependent of completedDependents) {
+      await recordHistory(tx, audit, {
+        todoId: dependent.id,
+        action: 'REOPENED',
+        description: `Todo was reopened because prerequisite #${prerequisite.id} ${prerequisite.title} was reopened`,
+        changes: [{ field: 'completed', from: true, to: false }]
+      });
+    }
+    console.log(`✅ Reopened ${completedDependents.length} dependent todos`);
+  }
+
+  return completedDependents;
+};
+
+// Create the occurrence that follows a completed todo of a series, with the
+// same details, tags, category, user and parent, due at the next date of the rule.
+// Returns the new todo, or null when the series is stopped or over.
+const createNextOccurrence = async (tx, audit, todo) => {
+  const series = await tx.todoSeries.findUnique({
+    where: { id: todo.seriesId },
+    include: {
+      todos: {
+        where: ACTIVE_TODO,
+        select: { id: true },
+        orderBy: { id: 'desc' },
+        take: 1
+      }
+    }
+  });
+  // Only the latest live occurrence moves the series on, so completing an
+  // older one again doesn't create a second copy of the next, while trashing
+  // the latest hands that role back to the one before it
+  if (!series || series.stoppedAt || series.todos[0].id !== todo.id) {
+    return null;
+  }
+
+  const dueAt = nextOccurrence(parseRule(series.rule), series.anchorAt, todo.dueAt || new Date(), series.occurrences);
+  if (!dueAt) {
+    console.log(`🔁 Series #${series.id} has no occurrences left`);
+    return null;
+  }
+
+  const tags = await tx.tagsOnTodos.findMany({
+    where: { todoId: todo.id },
+    select: { tagId: true }
+  });
+  const next = await tx.todo.create({
+    data: {
+      title: todo.title,
+      description: todo.description,
+      priority: todo.priority,
+      // Keep the same lead time between start and due date
+      startAt: todo.startAt && todo.dueAt ? new Date(dueAt.getTime() - (todo.dueAt.getTime() - todo.startAt.getTime())) : null,
+      dueAt,
+      workspaceId: todo.workspaceId,
+      userId: todo.userId,
+      categoryId: todo.categoryId,
+      parentId: todo.parentId,
+      seriesId: series.id,
+      tags: {
+        create: tags.map(({ tagId }) => ({ tagId }))
+      }
+    }
+  });
+  await tx.todoSeries.update({
+    where: { id: series.id },
+    data: { occurrences: { increment: 1 } }
+  });
+
+  await recordHistory(tx, audit, {
+    todoId: next.id,
+    action: 'CREATED',
+    description: `Todo was created as the next occurrence of #${todo.id} ${todo.title}`,
+    changes: creationChanges({ ...next, tags, dependencies: [], notes: [] })
+  });
+  console.log(`🔁 Created todo ${next.id} as occurrence ${series.occurrences + 1} of series #${series.id}`);
+
+  return next;
+};
+
+// Complete the ancestors of a completed todo once all of their subtasks are
+// done, walking up while that holds. Ancestors still waiting on an open
+// dependency, or that the user may not modify, are left open. Returns the
+// completed ancestors.
+const completeAncestors = async (tx, audit, todo, user) => {
+  const completedAncestors = [];
+
+  let parentId = todo.parentId;
+  while (parentId) {
+    const parent = await tx.todo.findFirst({
+      where: { id: parentId, ...ACTIVE_TODO, ...editableTodoWhere(user), completed: false }
+    });
+    if (!parent) {
+      break;
+    }
+    const openSubtasks = await tx.todo.count({
+      where: { parentId, ...ACTIVE_TODO, completed: false }
+    });
+    const openDependencies = await tx.todo.count({
+      where: { dependencyOf: { some: { id: parentId } }, ...ACTIVE_TODO, completed: false }
+    });
+    if (openSubtasks > 0 || openDependencies > 0) {
+      break;
+    }
+
+    const completed = await tx.todo.update({
+      where: { id: parentId },
+      data: { completed: true }
+    });
+    await recordHistory(tx, audit, {
+      todoId: parentId,
+      action: 'AUTO_COMPLETED',
+      description: `Todo was completed because its last open subtask #${todo.id} ${todo.title} was completed`,
+      changes: [{ field: 'completed', from: false, to: true }]
+    });
+    completedAncestors.push({ id: completed.id, title: completed.title });
+
+    if (completed.seriesId) {
+      await createNextOccurrence(tx, audit, completed);
+    }
+    todo = completed;
+    parentId = completed.parentId;
+  }
+
+  if (completedAncestors.length > 0) {
+    console.log(`✅ Completed ${completedAncestors.length} ancestors whose subtasks are all done`);
+  }
+  return completedAncestors;
+};
+
+// Ids from a new parent up to the root of its tree, read inside the
+// transaction that moves a todo there. Moves in a workspace take turns on an
+// advisory lock, and the moved todo and the chain stay locked FOR UPDATE until
+// the move commits, so no concurrent change can close a cycle after the check.
+const lockedAncestorIds = async (tx, todo, parentId) => {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('todo_parents'), ${todo.workspaceId})`;
+  await tx.$queryRaw`SELECT "id" FROM "todos" WHERE "id" = ${todo.id} FOR UPDATE`;
+
+  const ids = [];
+  while (parentId && !ids.includes(parentId)) {
+    ids.push(parentId);
+    const [parent] = await tx.$queryRaw`SELECT "parentId" FROM "todos" WHERE "id" = ${parentId} FOR UPDATE`;
+    parentId = parent && parent.parentId;
+  }
+  return ids;
+};
+
+// Cycle that adding prerequisites to a todo would close, checked inside the
+// transaction that writes the edges. Dependency edits in a workspace take
+// turns on an advisory lock until they commit, so two concurrent edits can't
+// each pass the check and together close a loop.
+const lockedDependencyCycle = async (tx, todo, addedIds) => {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('todo_dependencies'), ${todo.workspaceId})`;
+  return findDependencyCycle(tx, todo.id, addedIds);
+};
+
+// Remove the edges from dependents to a todo that is about to be deleted,
+// rewiring them if requested, and write a history entry on each dependent.
+// Returns what changed per dependent.
+const detachDependents = async (tx, audit, deletedTodo, dependents, strategy) => {
+  const prerequisites = strategy === 'rewire' ? deletedTodo.dependencies : [];
+  const modified = [];
+
+  for (const dependent of dependents) {
+    const before = await tx.todo.findUnique({
+      where: { id: dependent.id },
+      select: { dependencies: { select: { id: true } } }
+    });
+    const after = await tx.todo.update({
+      where: { id: dependent.id },
+      data: {
+        dependencies: {
+          disconnect: [{ id: deletedTodo.id }],
+          connect: prerequisites.map(p => ({ id: p.id }))
+        }
+      },
+      select: { dependencies: { select: { id: true } } }
+    });
+
+    // Prerequisites the dependent already had aren't added by the rewire
+    const beforeIds = sortIds(before.dependencies.map(d => d.id));
+    const afterIds = sortIds(after.dependencies.map(d => d.id));
+    const added = prerequisites.filter(p => afterIds.includes(p.id) && !beforeIds.includes(p.id));
+
+    await recordHistory(tx, audit, {
+      todoId: dependent.id,
+      action: 'DEPENDENCY_REMOVED',
+      description: added.length > 0
+        ? `Dependency #${deletedTodo.id} ${deletedTodo.title} was deleted; now depends on ${describeTodos(added)}`
+        : `Dependency #${deletedTodo.id} ${deletedTodo.title} was deleted`,
+      changes: [{
+        field: 'dependencies',
+        from: beforeIds,
+        to: afterIds
+      }]
+    });
+
+    modified.push({
+      id: dependent.id,
+      title: dependent.title,
+      removedDependency: deletedTodo.id,
+      addedDependencies: sortIds(added.map(p => p.id))
+    });
+  }
+
+  if (modified.length > 0) {
+    console.log(`✅ Applied ${strategy} strategy to ${modified.length} dependent todos`);
+  }
+  return modified;
+};
+
+// Hard-delete a todo: detach its dependents per the strategy, let the schema
+// cascade away tags, notes, history and attachment rows, then remove the
+// stored attachment files. Expects the todo with dependencies and attachments.
+const purgeTodo = async (audit, todo, dependents, strategy) => {
+  const modified = await prisma.$transaction(async (tx) => {
+    const modified = await detachDependents(tx, audit, todo, dependents, strategy);
+    
+    await tx.todo.delete({
+      where: { id: todo.id }
     });
-    console.log(`🏷️ Retrieved ${mostUsedTags.length} most used tags`);
+    
+    console.log(`✅ Deleted todo ID ${todo.id} and all its relations`);
+    return modified;
+  });
+  
+  if (todo.attachments.length > 0) {
+    await removeStoredFiles(todo.attachments);
+  }
+  
+  return modified;
+};
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// GET all todos with complex queries
+app.get('/api/todos', validate(schemas.listTodos), async (req, res) => {
+  try {
+    console.log('🔍 Processing GET /api/todos with complex queries');
+    const {
+      page,
+      limit = 10,
+      cursor,
+      sort = DEFAULT_SORT,
+      fields = TODO_FIELDS,
+      expand = [],
+      includeStats
+    } = req.query;
+    const take = parseInt(limit);
+    // Pages are addressed by cursor, or by page number when no cursor is given
+    const currentPage = cursor ? null : parseInt(page || 1);
+    const pageOptions = cursor
+      ? pageQuery(cursor, take)
+      : { skip: (currentPage - 1) * take, take: take + 1 };
+    const visible = visibleTodos(req.user);
+    
+    // 1. Build the where clause from the filters
+    const where = todoListWhere(req.user, req.query);
+    console.log(`🔍 Applied filters: ${JSON.stringify(where)}`);
+    
+    // 2. Get a page of todos in the requested order, plus one row to tell whether more follow,
+    // and the filtered count. Only the requested fields and relations are loaded; by default no relations.
+    const [rows, filteredCount] = await Promise.all([
+      prisma.todo.findMany({
+        where,
+        orderBy: sortOrder(parseSort(sort)),
+        ...pageOptions,
+        select: todoSelect(fields, expand, {
+          category: true,
+          user: true,
+          tags: {
+            include: {
+              tag: true
+            }
+          },
+          notes: {
+            orderBy: {
+              createdAt: 'desc'
+            }
+          },
+          dependencies: {
+            where: visible,
+            select: {
+              id: true,
+              title: true
+            }
+          },
+          dependencyOf: {
+            where: visible,
+            select: {
+              id: true,
+              title: true
+            }
+          },
+          history: {
+            orderBy: {
+              createdAt: 'desc'
+            },
+            take: 5
+          },
+          attachments: true,
+          reminders: {
+            orderBy: {
+              remindAt: 'desc'
+            },
+            take: 5
+          },
+          series: {
+            select: {
+              id: true,
+              rule: true,
+              stoppedAt: true
+            }
+          },
+          parent: {
+            select: {
+              id: true,
+              title: true,
+              completed: true
+            }
+          },
+          children: {
+            where: visible,
+            select: {
+              id: true,
+              title: true,
+              completed: true,
+              priority: true
+            }
+          }
+        })
+      }),
+      prisma.todo.count({ where })
+    ]);
+    const { items: todos, nextCursor, prevCursor } = pageCursors(rows, take, cursor, currentPage > 1);
+    console.log(`📋 Retrieved ${todos.length} of ${filteredCount} todos sorted by ${sort}${expand.length > 0 ? ` with ${expand.join(', ')}` : ''}`);
+    
+    // 3. Dashboard stats over the same filters, only when asked for
+    const stats = includeStats === 'true' ? await todoStats(req.user, where) : {};
     
     // Prepare response
     const response = {
-      data: todos.map(todo => ({
-        ...todo,
-        tags: todo.tags.map(t => t.tag)
-      })),
+      data: todos.map(todo => presentTodo(todo, fields, expand)),
       pagination: {
         total: filteredCount,
-        totalPages: Math.ceil(filteredCount / take),
-        currentPage: parseInt(page),
-        limit: take
-      },
-      stats: {
-        total: totalTodosCount,
-        completed: completedCount,
-        byPriority: priorityCounts,
-        byCategory: categoryCounts
+        ...(cursor ? {} : {
+          totalPages: Math.ceil(filteredCount / take),
+          currentPage
+        }),
+        limit: take,
+        sort,
+        nextCursor,
+        prevCursor,
+        links: {
+          next: cursorLink(req, nextCursor),
+          prev: cursorLink(req, prevCursor)
+        }
       },
-      recentlyUpdated,
-      mostUsedTags: mostUsedTags.map(tag => ({
-        id: tag.id,
-        name: tag.name,
-        count: tag._count.todos
-      }))
+      ...stats
     };
     
     res.json(response);
   } catch (error) {
     console.error('Error fetching todos:', error);
-    res.status(500).json({ error: 'Failed to fetch todos' });
+    sendError(res, error, 'Failed to fetch todos');
   }
 });
 
-// GET todo by id with complex queries
-app.get('/api/todos/:id', async (req, res) => {
+// GET dashboard stats for the todos matching the list filters
+app.get('/api/stats', validate(schemas.todoStats), async (req, res) => {
   try {
-    console.log(`🔍 Processing GET /api/todos/${req.params.id} with complex queries`);
-    const id = parseInt(req.params.id);
-    
-    // 1. Get the todo with all relations
-    const todo = await prisma.todo.findUnique({
-      where: { id },
-      include: {
-        category: true,
-        user: true,
-        tags: {
-          include: {
-            tag: true
-          }
-        },
-        notes: {
-          orderBy: {
-            createdAt: 'desc'
-          }
-        },
-        dependencies: {
-          select: {
-            id: true,
-            title: true,
-            completed: true,
-            priority: true
-          }
-        },
-        dependencyOf: {
-          select: {
-            id: true,
-            title: true,
-            completed: true,
-            priority: true
-          }
-        },
-        history: {
-          orderBy: {
-            createdAt: 'desc'
+    console.log('🔍 Processing GET /api/stats');
+    const where = todoListWhere(req.user, req.query);
+    console.log(`🔍 Applied filters: ${JSON.stringify(where)}`);
+
+    res.json(await todoStats(req.user, where));
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    sendError(res, error, 'Failed to fetch stats');
+  }
+});
+
+// GET todos ranked by full-text relevance across title, description, notes and tags
+app.get('/api/search', validate(schemas.search), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/search for "${req.query.q}"`);
+    const { q, page = 1, limit = 10 } = req.query;
+
+    const { total, results } = await searchTodos(prisma, req.user, {
+      q,
+      skip: (page - 1) * limit,
+      take: limit
+    });
+    console.log(`📋 Found ${total} matching todos, returning ${results.length}`);
+
+    res.json({
+      data: results,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Error searching todos:', error);
+    sendError(res, error, 'Failed to search todos');
+  }
+});
+
+// GET execution order for a set of todos, prerequisites first
+app.get('/api/todos/dependencies/order', validate(schemas.dependencyOrder), async (req, res) => {
+  try {
+    console.log('🔍 Processing GET /api/todos/dependencies/order');
+    const { ids, includePrerequisites = 'true' } = req.query;
+
+    const requestedIds = [...new Set(ids.split(',').map(id => parseInt(id)))];
+
+    // 1. Validate the requested todos exist and are visible to the caller
+    const visible = visibleTodos(req.user);
+    const existingCount = await prisma.todo.count({
+      where: { id: { in: requestedIds }, ...visible }
+    });
+    if (existingCount !== requestedIds.length) {
+      return res.status(400).json({ error: 'Some todos not found', code: 'INVALID_REFERENCE' });
+    }
+
+    // 2. Collect prerequisite edges, following them transitively if requested
+    const maxDepth = includePrerequisites === 'true' ? Infinity : 1;
+    const { depths, edges } = await walk(prisma, requestedIds, 'upstream', { maxDepth, where: visible });
+    const nodeIds = includePrerequisites === 'true' ? [...depths.keys()] : requestedIds;
+    console.log(`📊 Ordering ${nodeIds.length} todos across ${edges.length} dependency edges`);
+
+    // 3. Sort topologically
+    const { order, cyclic } = topologicalOrder(nodeIds, edges);
+    if (cyclic.length > 0) {
+      console.log(`⚠️ Found ${cyclic.length} todos in a dependency cycle`);
+      return res.status(409).json({ error: 'Dependency cycle detected', code: 'CYCLE', cyclic });
+    }
+
+    const todos = await prisma.todo.findMany({
+      where: { id: { in: nodeIds } },
+      select: {
+        id: true,
+        title: true,
+        completed: true,
+        priority: true
+      }
+    });
+    const todosById = new Map(todos.map(todo => [todo.id, todo]));
+
+    res.json({
+      order: order.map(({ id, level }) => ({
+        ...todosById.get(id),
+        level,
+        requested: requestedIds.includes(id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error ordering todos:', error);
+    sendError(res, error, 'Failed to compute execution order');
+  }
+});
+
+// GET todo by id with complex queries
+app.get('/api/todos/:id', validate(schemas.getTodo), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/todos/${req.params.id} with complex queries`);
+    const id = parseInt(req.params.id);
+    const { fields = TODO_FIELDS, expand = TODO_RELATIONS } = req.query;
+    const visible = visibleTodos(req.user);
+    
+    // 1. Get the todo with the requested fields and relations (all by default),
+    // plus what the related todo lookups below need
+    const todo = await prisma.todo.findFirst({
+      where: { id, ...visible },
+      select: {
+        categoryId: true,
+        userId: true,
+        priority: true,
+        tags: { select: { tagId: true } },
+        ...todoSelect(fields, expand, {
+          category: true,
+          user: true,
+          tags: {
+            include: {
+              tag: true
+            }
+          },
+          notes: {
+            orderBy: {
+              createdAt: 'desc'
+            }
+          },
+          dependencies: {
+            where: visible,
+            select: {
+              id: true,
+              title: true,
+              completed: true,
+              priority: true
+            }
+          },
+          dependencyOf: {
+            where: visible,
+            select: {
+              id: true,
+              title: true,
+              completed: true,
+              priority: true
+            }
+          },
+          history: {
+            orderBy: {
+              createdAt: 'desc'
+            }
+          },
+          attachments: true,
+          reminders: {
+            orderBy: {
+              remindAt: 'desc'
+            }
+          },
+          series: {
+            select: {
+              id: true,
+              rule: true,
+              stoppedAt: true
+            }
+          },
+          parent: {
+            select: {
+              id: true,
+              title: true,
+              completed: true
+            }
+          },
+          children: {
+            where: visible,
+            select: {
+              id: true,
+              title: true,
+              completed: true,
+              priority: true
+            }
           }
-        },
-        attachments: true
+        })
       }
     });
     
     if (!todo) {
       console.log(`❌ Todo with ID ${id} not found`);
-      return res.status(404).json({ error: 'Todo not found' });
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
     }
     
     // 2. Get similar todos (same category)
     const similarTodos = await prisma.todo.findMany({
       where: {
+        ...visible,
         categoryId: todo.categoryId,
         id: { not: id }
       },
@@ -300,6 +904,7 @@ app.get('/api/todos/:id', async (req, res) => {
     // 3. Get todos by same user
     const userTodos = todo.userId ? await prisma.todo.findMany({
       where: {
+        ...visible,
         userId: todo.userId,
         id: { not: id }
       },
@@ -317,6 +922,7 @@ app.get('/api/todos/:id', async (req, res) => {
     const tagIds = todo.tags.map(t => t.tagId);
     const relatedByTags = tagIds.length > 0 ? await prisma.todo.findMany({
       where: {
+        ...visible,
         id: { not: id },
         tags: {
           some: {
@@ -358,6 +964,7 @@ app.get('/api/todos/:id', async (req, res) => {
     // 8. Get dependencies count
     const dependenciesCount = await prisma.todo.count({
       where: {
+        ...visible,
         dependencyOf: {
           some: {
             id
@@ -370,6 +977,7 @@ app.get('/api/todos/:id', async (req, res) => {
     // 9. Check if all dependencies are completed
     const uncompletedDependencies = await prisma.todo.count({
       where: {
+        ...ACTIVE_TODO,
         dependencyOf: {
           some: {
             id
@@ -396,18 +1004,20 @@ app.get('/api/todos/:id', async (req, res) => {
     // 11. Count todos with same priority
     const samePriorityCount = await prisma.todo.count({
       where: {
+        ...visible,
         priority: todo.priority,
         id: { not: id }
       }
     });
     console.log(`📊 Found ${samePriorityCount} other todos with ${todo.priority} priority`);
     
-    // 12. Build complex response
+    // 12. Roll up the progress of the subtasks
+    const progress = await getCompletionStats({ parentId: id, AND: [visibleTodoWhere(req.user)] });
+    console.log(`📊 ${progress.completed} of ${progress.total} subtasks completed`);
+    
+    // 13. Build complex response
     const response = {
-      todo: {
-        ...todo,
-        tags: todo.tags.map(t => t.tag)
-      },
+      todo: presentTodo(todo, fields, expand),
       related: {
         similarTodos,
         userTodos,
@@ -424,55 +1034,64 @@ app.get('/api/todos/:id', async (req, res) => {
         allDependenciesCompleted,
         samePriorityCount
       },
+      progress,
       recentChanges
     };
     
     res.json(response);
   } catch (error) {
     console.error('Error fetching todo:', error);
-    res.status(500).json({ error: 'Failed to fetch todo' });
+    sendError(res, error, 'Failed to fetch todo');
   }
 });
 
 // CREATE todo with complex operations
-app.post('/api/todos', async (req, res) => {
+app.post('/api/todos', validate(schemas.createTodo), async (req, res) => {
   try {
     console.log('🔍 Processing POST /api/todos with complex operations');
     const { 
       title, 
       description, 
       priority, 
+      startAt,
+      dueAt,
       categoryId, 
-      userId, 
+      userId: requestedUserId, 
       tagIds = [], 
+      tagNames = [],
       notes = [], 
-      dependencies = [] 
+      dependencies = [],
+      recurrence,
+      parentId
     } = req.body;
     
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
+    // Todos belong to the caller unless another user (or null) is given
+    const userId = requestedUserId === undefined ? req.user.id : requestedUserId;
+    if (!isAdmin(req.user) && parseInt(userId) !== req.user.id) {
+      return res.status(403).json({ error: 'Only admins can create todos for other users', code: 'FORBIDDEN' });
     }
+    const visible = visibleTodos(req.user);
     
     // 1. Validate category exists if provided
     if (categoryId) {
-      const categoryExists = await prisma.category.findUnique({
-        where: { id: parseInt(categoryId) }
+      const categoryExists = await prisma.category.findFirst({
+        where: { id: parseInt(categoryId), ...inWorkspace(req.user) }
       });
       
       if (!categoryExists) {
-        return res.status(400).json({ error: 'Category not found' });
+        return res.status(400).json({ error: 'Category not found', code: 'INVALID_REFERENCE' });
       }
       console.log(`✅ Validated category ID ${categoryId}`);
     }
     
     // 2. Validate user exists if provided
     if (userId) {
-      const userExists = await prisma.user.findUnique({
-        where: { id: parseInt(userId) }
+      const userExists = await prisma.user.findFirst({
+        where: { id: parseInt(userId), ...inWorkspace(req.user) }
       });
       
       if (!userExists) {
-        return res.status(400).json({ error: 'User not found' });
+        return res.status(400).json({ error: 'User not found', code: 'INVALID_REFERENCE' });
       }
       console.log(`✅ Validated user ID ${userId}`);
     }
@@ -481,68 +1100,114 @@ app.post('/api/todos', async (req, res) => {
     if (tagIds.length > 0) {
       const tagCount = await prisma.tag.count({
         where: {
-          id: { in: tagIds.map(id => parseInt(id)) }
+          id: { in: tagIds.map(id => parseInt(id)) },
+          ...inWorkspace(req.user)
         }
       });
       
       if (tagCount !== tagIds.length) {
-        return res.status(400).json({ error: 'Some tags not found' });
+        return res.status(400).json({ error: 'Some tags not found', code: 'INVALID_REFERENCE' });
       }
       console.log(`✅ Validated ${tagIds.length} tags`);
     }
     
-    // 4. Validate dependencies exist
+    // Tags named by tagNames are created when missing, which only admins may do
+    const uniqueTagNames = [...new Set(tagNames.map(name => name.trim()))];
+    if (uniqueTagNames.length > 0 && !isAdmin(req.user)) {
+      const existingTags = await prisma.tag.findMany({
+        where: { name: { in: uniqueTagNames }, ...inWorkspace(req.user) },
+        select: { name: true }
+      });
+      const existingNames = existingTags.map(tag => tag.name);
+      const missingNames = uniqueTagNames.filter(name => !existingNames.includes(name));
+      if (missingNames.length > 0) {
+        return res.status(403).json({ error: 'Only admins can create tags', code: 'FORBIDDEN', missingTags: missingNames });
+      }
+      console.log(`✅ Validated ${uniqueTagNames.length} tags by name`);
+    }
+    
+    // 4. Validate dependencies exist and are visible to the caller
     if (dependencies.length > 0) {
       const depCount = await prisma.todo.count({
         where: {
-          id: { in: dependencies.map(id => parseInt(id)) }
+          id: { in: dependencies.map(id => parseInt(id)) },
+          ...visible
         }
       });
       
       if (depCount !== dependencies.length) {
-        return res.status(400).json({ error: 'Some dependencies not found' });
+        return res.status(400).json({ error: 'Some dependencies not found', code: 'INVALID_REFERENCE' });
       }
       console.log(`✅ Validated ${dependencies.length} dependencies`);
     }
     
-    // 5. Count todos for user
+    // 5. Validate the parent exists and the caller may add subtasks to it
+    if (parentId) {
+      const parent = await prisma.todo.findFirst({
+        where: { id: parentId, ...visible }
+      });
+      
+      if (!parent) {
+        return res.status(400).json({ error: 'Parent todo not found', code: 'INVALID_REFERENCE' });
+      }
+      if (!canEditTodo(req.user, parent)) {
+        return res.status(403).json({ error: 'Only the owner of the parent todo can add subtasks to it', code: 'FORBIDDEN' });
+      }
+      console.log(`✅ Validated parent todo ID ${parentId}`);
+    }
+    
+    // 6. Count todos for user
     let userTodoCount = 0;
     if (userId) {
       userTodoCount = await prisma.todo.count({
-        where: { userId: parseInt(userId) }
+        where: { userId: parseInt(userId), ...visible }
       });
       console.log(`📊 User has ${userTodoCount} existing todos`);
     }
     
-    // 6. Count todos in category
+    // 7. Count todos in category
     let categoryTodoCount = 0;
     if (categoryId) {
       categoryTodoCount = await prisma.todo.count({
-        where: { categoryId: parseInt(categoryId) }
+        where: { categoryId: parseInt(categoryId), ...visible }
       });
       console.log(`📊 Category has ${categoryTodoCount} existing todos`);
     }
     
-    // 7. Count todos with same priority
+    // 8. Count todos with same priority
     const priorityTodoCount = await prisma.todo.count({
-      where: { priority: priority || 'MEDIUM' }
+      where: { priority: priority || 'MEDIUM', ...visible }
     });
     console.log(`📊 Found ${priorityTodoCount} existing todos with priority ${priority || 'MEDIUM'}`);
     
-    // 8. Count all todos
-    const totalTodoCount = await prisma.todo.count();
+    // 9. Count all todos
+    const totalTodoCount = await prisma.todo.count({ where: visible });
     console.log(`📊 Total todos in system: ${totalTodoCount}`);
     
-    // 9. Create the todo with all relations in a transaction
+    // 10. Create the todo with all relations in a transaction
     const result = await prisma.$transaction(async (tx) => {
+      // Start a series with this todo as its first occurrence
+      const series = recurrence ? await tx.todoSeries.create({
+        data: {
+          rule: recurrence,
+          anchorAt: dueAt || new Date(),
+          workspaceId: req.user.workspaceId
+        }
+      }) : null;
+      
       // Create the todo
       const todo = await tx.todo.create({
         data: {
           title,
           description: description || null,
           priority: priority || 'MEDIUM',
+          startAt: startAt || null,
+          dueAt: dueAt || null,
+          workspaceId: req.user.workspaceId,
           userId: userId ? parseInt(userId) : null,
           categoryId: categoryId ? parseInt(categoryId) : null,
+          seriesId: series ? series.id : null,
+          parentId: parentId || null,
           dependencies: dependencies.length > 0 ? {
             connect: dependencies.map(depId => ({ id: parseInt(depId) }))
           } : undefined
@@ -563,6 +1228,28 @@ app.post('/api/todos', async (req, res) => {
         console.log(`✅ Added ${tagIds.length} tags to todo`);
       }
       
+      // Add tags by name, creating any that don't exist yet
+      if (uniqueTagNames.length > 0) {
+        const attachedTagIds = tagIds.map(tagId => parseInt(tagId));
+        for (const name of uniqueTagNames) {
+          const tag = await tx.tag.upsert({
+            where: { workspaceId_name: { workspaceId: req.user.workspaceId, name } },
+            update: {},
+            create: { name, workspaceId: req.user.workspaceId }
+          });
+          if (!attachedTagIds.includes(tag.id)) {
+            await tx.tagsOnTodos.create({
+              data: {
+                todoId: todo.id,
+                tagId: tag.id
+              }
+            });
+            attachedTagIds.push(tag.id);
+          }
+        }
+        console.log(`✅ Added ${uniqueTagNames.length} tags by name to todo`);
+      }
+      
       // Add notes
       if (notes.length > 0) {
         for (const noteContent of notes) {
@@ -576,20 +1263,29 @@ app.post('/api/todos', async (req, res) => {
         console.log(`✅ Added ${notes.length} notes to todo`);
       }
       
-      // Create history entry
-      await tx.todoHistory.create({
-        data: {
-          todoId: todo.id,
-          action: 'CREATED',
-          description: 'Todo was created'
+      // Create history entry with the initial value of every tracked field
+      const initialState = await tx.todo.findUnique({
+        where: { id: todo.id },
+        include: {
+          tags: true,
+          dependencies: { select: { id: true } },
+          notes: { select: { id: true } }
         }
       });
+      await recordHistory(tx, req.audit, {
+        todoId: todo.id,
+        action: 'CREATED',
+        description: series ? `Todo was created, repeating ${series.rule}` : 'Todo was created',
+        changes: series
+          ? [...creationChanges(initialState), { field: 'recurrence', from: null, to: series.rule }]
+          : creationChanges(initialState)
+      });
       console.log(`✅ Added creation history entry for todo`);
       
       return todo;
     });
     
-    // 10. Get the created todo with all relations
+    // 11. Get the created todo with all relations
     const createdTodo = await prisma.todo.findUnique({
       where: { id: result.id },
       include: {
@@ -602,12 +1298,14 @@ app.post('/api/todos', async (req, res) => {
         },
         notes: true,
         dependencies: {
+          where: visible,
           select: {
             id: true,
             title: true
           }
         },
-        history: true
+        history: true,
+        series: true
       }
     });
     
@@ -626,12 +1324,290 @@ app.post('/api/todos', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating todo:', error);
-    res.status(500).json({ error: 'Failed to create todo' });
+    sendError(res, error, 'Failed to create todo');
+  }
+});
+
+// Changes a bulk operation makes to one todo; empty when it has nothing to do
+const bulkChanges = (operation, todo, { priority, categoryId, userId, tagIds, deletedAt }) => {
+  const current = {
+    completed: todo.completed,
+    priority: todo.priority,
+    category: todo.categoryId,
+    user: todo.userId,
+    tags: sortIds(todo.tags.map(t => t.tagId))
+  };
+
+  switch (operation) {
+    case 'complete':
+      return diffValues(current, { completed: true });
+    case 'reopen':
+      return diffValues(current, { completed: false });
+    case 'setPriority':
+      return diffValues(current, { priority });
+    case 'setCategory':
+      return diffValues(current, { category: categoryId });
+    case 'setUser':
+      return diffValues(current, { user: userId });
+    case 'addTags':
+      return diffValues(current, { tags: sortIds([...current.tags, ...tagIds]) });
+    case 'removeTags':
+      return diffValues(current, { tags: current.tags.filter(tagId => !tagIds.includes(tagId)) });
+    default:
+      return [{ field: 'deletedAt', from: null, to: deletedAt }];
+  }
+};
+
+// The history entry the single-todo endpoints write for the same change
+const bulkHistoryEntry = (operation, { todo, changes, blockers }) => {
+  const entry = { todoId: todo.id, changes };
+  switch (operation) {
+    case 'complete':
+      return blockers.length > 0
+        ? { ...entry, action: 'FORCE_COMPLETED', description: `Todo was marked as completed despite uncompleted dependencies: ${describeTodos(blockers)}` }
+        : { ...entry, action: 'COMPLETED', description: 'Todo was marked as completed' };
+    case 'reopen':
+      return { ...entry, action: 'REOPENED', description: 'Todo was reopened' };
+    case 'delete':
+      return { ...entry, action: 'TRASHED', description: 'Todo was moved to the trash' };
+    default:
+      return { ...entry, action: 'UPDATED', description: `Updated fields: ${changes.map(change => change.field).join(', ')}` };
+  }
+};
+
+// POST apply one operation to many todos, picked by id or by the list
+// filters, in a single transaction
+app.post('/api/todos/bulk', validate(schemas.bulkTodos), async (req, res) => {
+  try {
+    console.log(`🔍 Processing POST /api/todos/bulk (${req.body.operation})`);
+    const { ids, filter, operation, priority, categoryId, userId, tagIds, force = false } = req.body;
+    
+    // 1. Check the operation's argument
+    if (operation === 'setUser' && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can reassign todos', code: 'FORBIDDEN' });
+    }
+    if (operation === 'setCategory' && categoryId !== null) {
+      const category = await prisma.category.findFirst({
+        where: { id: categoryId, ...inWorkspace(req.user) }
+      });
+      if (!category) {
+        return res.status(400).json({ error: 'Category not found', code: 'INVALID_REFERENCE' });
+      }
+    }
+    if (operation === 'setUser' && userId !== null) {
+      const user = await prisma.user.findFirst({
+        where: { id: userId, ...inWorkspace(req.user) }
+      });
+      if (!user) {
+        return res.status(400).json({ error: 'User not found', code: 'INVALID_REFERENCE' });
+      }
+    }
+    if (tagIds) {
+      const uniqueTagIds = sortIds(tagIds);
+      const tagCount = await prisma.tag.count({
+        where: { id: { in: uniqueTagIds }, ...inWorkspace(req.user) }
+      });
+      if (tagCount !== uniqueTagIds.length) {
+        return res.status(400).json({ error: 'Some tags not found', code: 'INVALID_REFERENCE' });
+      }
+    }
+    
+    // 2. Find, plan and change the todos in one transaction, with the todos
+    // locked from the first read, so nothing changes them in between
+    const requestedIds = ids ? sortIds(ids) : null;
+    const where = requestedIds
+      ? { id: { in: requestedIds }, ...visibleTodos(req.user) }
+      : todoListWhere(req.user, filter);
+    const deletedAt = new Date();
+    const outcome = await prisma.$transaction(async (tx) => {
+      // Find the todos, by id or with the same filters as GET /api/todos
+      const matching = await tx.todo.findMany({
+        where,
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: BULK_MAX_TODOS + 1
+      });
+      if (matching.length > BULK_MAX_TODOS) {
+        return { tooMany: true };
+      }
+      const matchingIds = matching.map(todo => todo.id);
+      if (matchingIds.length > 0) {
+        await tx.$queryRaw`SELECT "id" FROM "todos" WHERE "id" IN (${Prisma.join(matchingIds)}) ORDER BY "id" FOR UPDATE`;
+      }
+      
+      // Load them once locked; a todo changed meanwhile is checked against the filters again
+      const todos = await tx.todo.findMany({
+        where: { AND: [where, { id: { in: matchingIds } }] },
+        include: {
+          tags: { select: { tagId: true } },
+          dependencies: {
+            where: { ...ACTIVE_TODO, completed: false },
+            select: {
+              id: true,
+              title: true,
+              completed: true
+            }
+          }
+        },
+        orderBy: { id: 'asc' }
+      });
+      console.log(`📋 Found ${todos.length} todos to ${operation}`);
+      
+      // 3. Work out the changes to each todo
+      const plans = todos.map(todo => canEditTodo(req.user, todo)
+        ? { todo, changes: bulkChanges(operation, todo, { priority, categoryId, userId, tagIds, deletedAt }), blockers: [] }
+        : { todo, status: 'forbidden' });
+      for (const plan of plans.filter(p => !p.status)) {
+        plan.status = plan.changes.length > 0 ? 'updated' : 'unchanged';
+      }
+      
+      // Open dependencies hold a todo back unless this request completes them
+      // too; holding one back can hold back the todos that depend on it
+      if (operation === 'complete') {
+        let heldBack = true;
+        while (heldBack) {
+          heldBack = false;
+          const completing = plans.filter(p => p.status === 'updated').map(p => p.todo.id);
+          for (const plan of plans.filter(p => p.status === 'updated')) {
+            plan.blockers = plan.todo.dependencies.filter(d => !completing.includes(d.id));
+            if (plan.blockers.length > 0 && !force) {
+              plan.status = 'skipped';
+              heldBack = true;
+            }
+          }
+        }
+      }
+      
+      const updates = plans.filter(plan => plan.status === 'updated');
+      const changedIds = updates.map(plan => plan.todo.id);
+      
+      // 4. Apply the changes and write one history entry per todo
+      if (operation === 'addTags') {
+        await tx.tagsOnTodos.createMany({
+          data: updates.flatMap(({ todo, changes: [change] }) => change.to
+            .filter(tagId => !change.from.includes(tagId))
+            .map(tagId => ({ todoId: todo.id, tagId }))),
+          skipDuplicates: true
+        });
+      } else if (operation === 'removeTags') {
+        await tx.tagsOnTodos.deleteMany({
+          where: { todoId: { in: changedIds }, tagId: { in: tagIds } }
+        });
+      } else {
+        const data = {
+          complete: { completed: true },
+          reopen: { completed: false },
+          setPriority: { priority },
+          setCategory: { categoryId },
+          setUser: { userId },
+          delete: { deletedAt }
+        }[operation];
+        await tx.todo.updateMany({
+          where: { id: { in: changedIds } },
+          data
+        });
+      }
+      await recordHistoryEntries(tx, req.audit, updates.map(plan => bulkHistoryEntry(operation, plan)));
+      console.log(`✅ Applied ${operation} to ${changedIds.length} todos`);
+      
+      // Trashing keeps dependency edges; let the dependents left behind know
+      let dependentTodos = [];
+      if (operation === 'delete' && changedIds.length > 0) {
+        const dependents = await tx.todo.findMany({
+          where: {
+            ...ACTIVE_TODO,
+            dependencies: { some: { id: { in: changedIds } } }
+          },
+          select: {
+            id: true,
+            title: true,
+            dependencies: {
+              where: { id: { in: changedIds } },
+              select: {
+                id: true,
+                title: true
+              }
+            }
+          }
+        });
+        await recordHistoryEntries(tx, req.audit, dependents.flatMap(dependent => dependent.dependencies.map(dependency => ({
+          todoId: dependent.id,
+          action: 'DEPENDENCY_TRASHED',
+          description: `Dependency #${dependency.id} ${dependency.title} was moved to the trash`
+        }))));
+        dependentTodos = dependents.map(({ id, title }) => ({ id, title }));
+      }
+      
+      // Completed todos move their series on and may complete their parents
+      const nextOccurrences = [];
+      const completedAncestors = [];
+      if (operation === 'complete') {
+        for (const { todo } of updates) {
+          const completedTodo = { ...todo, completed: true };
+          const next = completedTodo.seriesId
+            ? await createNextOccurrence(tx, req.audit, completedTodo)
+            : null;
+          if (next) {
+            nextOccurrences.push(next);
+          }
+          completedAncestors.push(...await completeAncestors(tx, req.audit, completedTodo, req.user));
+        }
+      }
+      
+      return {
+        todos,
+        plans,
+        changedIds,
+        effects: { dependentTodos, nextOccurrences, completedAncestors }
+      };
+    }, { timeout: BULK_TRANSACTION_TIMEOUT_MS });
+    
+    if (outcome.tooMany) {
+      return res.status(400).json({ error: `The filter matches more than ${BULK_MAX_TODOS} todos; narrow it down`, code: 'BAD_REQUEST' });
+    }
+    const { todos, plans, changedIds, effects } = outcome;
+    
+    // 5. Report on every todo, including requested ids that weren't found;
+    // blockers the caller can't read are named by id only
+    const skippedBlockers = plans.filter(plan => plan.status === 'skipped').flatMap(plan => plan.blockers);
+    const blockersById = new Map((await visibleBlockers(req.user, skippedBlockers)).map(blocker => [blocker.id, blocker]));
+    const results = plans.map(({ todo, status, changes, blockers }) => {
+      const result = { id: todo.id, title: todo.title, status };
+      if (status === 'updated') {
+        result.changes = changes;
+      } else if (status === 'skipped') {
+        result.reason = 'Blocked by uncompleted dependencies';
+        result.blockers = blockers.map(blocker => blockersById.get(blocker.id));
+      } else if (status === 'forbidden') {
+        result.reason = 'Only the owner can modify this todo';
+      }
+      return result;
+    });
+    if (requestedIds) {
+      results.push(...requestedIds
+        .filter(id => !todos.some(todo => todo.id === id))
+        .map(id => ({ id, status: 'not_found' })));
+      results.sort((a, b) => a.id - b.id);
+    }
+    const summary = Object.fromEntries(['updated', 'unchanged', 'skipped', 'forbidden', 'not_found']
+      .map(status => [status, results.filter(result => result.status === status).length]));
+    
+    console.log(`🎉 Bulk ${operation} changed ${changedIds.length} of ${results.length} todos`);
+    
+    res.json({
+      operation,
+      summary,
+      results,
+      ...effects
+    });
+  } catch (error) {
+    console.error('Error running bulk operation:', error);
+    sendError(res, error, 'Failed to run bulk operation');
   }
 });
 
 // UPDATE todo with complex operations
-app.put('/api/todos/:id', async (req, res) => {
+app.put('/api/todos/:id', validate(schemas.updateTodo), async (req, res) => {
   try {
     console.log(`🔍 Processing PUT /api/todos/${req.params.id} with complex operations`);
     const id = parseInt(req.params.id);
@@ -640,6 +1616,8 @@ app.put('/api/todos/:id', async (req, res) => {
       description, 
       completed, 
       priority, 
+      startAt,
+      dueAt,
       categoryId, 
       userId,
       tagIds,
@@ -647,12 +1625,15 @@ app.put('/api/todos/:id', async (req, res) => {
       dependencies,
       removeTags = [],
       removeNotes = [],
-      removeDependencies = []
+      removeDependencies = [],
+      force = false,
+      cascade = false
     } = req.body;
     
-    // 1. Check if todo exists
-    const existingTodo = await prisma.todo.findUnique({
-      where: { id },
+    // 1. Check if todo exists and the caller may change it
+    const visible = visibleTodos(req.user);
+    const existingTodo = await prisma.todo.findFirst({
+      where: { id, ...visible },
       include: {
         tags: true,
         notes: true,
@@ -661,107 +1642,135 @@ app.put('/api/todos/:id', async (req, res) => {
     });
     
     if (!existingTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, existingTodo)) {
+      return res.status(403).json({ error: 'Only the owner can modify this todo', code: 'FORBIDDEN' });
+    }
+    if (userId !== undefined && !isAdmin(req.user) &&
+        (userId === null ? null : parseInt(userId)) !== existingTodo.userId) {
+      return res.status(403).json({ error: 'Only admins can reassign todos', code: 'FORBIDDEN' });
     }
     console.log(`✅ Found existing todo with ID ${id}`);
     
+    // The schedule has to stay in order when only one end of it moves
+    const nextStartAt = startAt !== undefined ? startAt : existingTodo.startAt;
+    const nextDueAt = dueAt !== undefined ? dueAt : existingTodo.dueAt;
+    if (nextStartAt && nextDueAt && nextStartAt > nextDueAt) {
+      return res.status(400).json({ error: 'startAt must not be after dueAt', code: 'BAD_REQUEST' });
+    }
+    
+    // Validate dependencies exist (and are visible) if adding new ones, before
+    // anything is reported about them
+    if (dependencies && dependencies.length > 0) {
+      const depCount = await prisma.todo.count({
+        where: {
+          id: { in: dependencies.map(id => parseInt(id)) },
+          ...visible
+        }
+      });
+      
+      if (depCount !== dependencies.length) {
+        return res.status(400).json({ error: 'Some dependencies not found', code: 'INVALID_REFERENCE' });
+      }
+      console.log(`✅ Validated ${dependencies.length} dependencies to add`);
+    }
+    
+    // Completing through PUT follows the same blocking rule as the toggle
+    // endpoint, judged on the dependencies the todo ends up with
+    let forced = false;
+    let uncompletedDependencies = [];
+    if (completed === true && !existingTodo.completed) {
+      const addedDependencies = dependencies && dependencies.length > 0
+        ? await prisma.todo.findMany({
+          where: { id: { in: dependencies.map(depId => parseInt(depId)) } },
+          select: { id: true, title: true, completed: true, deletedAt: true }
+        })
+        : [];
+      uncompletedDependencies = await visibleBlockers(req.user, openPrerequisites(
+        existingTodo.dependencies,
+        addedDependencies,
+        (removeDependencies || []).map(depId => parseInt(depId))
+      ));
+      if (uncompletedDependencies.length > 0) {
+        if (!force) {
+          return res.status(409).json({
+            error: 'Todo is blocked by uncompleted dependencies',
+            code: 'BLOCKED',
+            blockers: uncompletedDependencies
+          });
+        }
+        forced = true;
+        console.log(`⚠️ Completing despite ${uncompletedDependencies.length} uncompleted dependencies because force was requested`);
+      }
+    }
+    
     // 2. Validate category exists if provided
     if (categoryId) {
-      const categoryExists = await prisma.category.findUnique({
-        where: { id: parseInt(categoryId) }
+      const categoryExists = await prisma.category.findFirst({
+        where: { id: parseInt(categoryId), ...inWorkspace(req.user) }
       });
       
       if (!categoryExists) {
-        return res.status(400).json({ error: 'Category not found' });
+        return res.status(400).json({ error: 'Category not found', code: 'INVALID_REFERENCE' });
       }
       console.log(`✅ Validated category ID ${categoryId}`);
     }
     
     // 3. Validate user exists if provided
     if (userId) {
-      const userExists = await prisma.user.findUnique({
-        where: { id: parseInt(userId) }
+      const userExists = await prisma.user.findFirst({
+        where: { id: parseInt(userId), ...inWorkspace(req.user) }
       });
       
       if (!userExists) {
-        return res.status(400).json({ error: 'User not found' });
+        return res.status(400).json({ error: 'User not found', code: 'INVALID_REFERENCE' });
       }
       console.log(`✅ Validated user ID ${userId}`);
     }
     
-    // 4. Track changes for history
-    const changes = [];
-    if (title !== undefined && title !== existingTodo.title) changes.push('title');
-    if (description !== undefined && description !== existingTodo.description) changes.push('description');
-    if (completed !== undefined && completed !== existingTodo.completed) changes.push('completed');
-    if (priority !== undefined && priority !== existingTodo.priority) changes.push('priority');
-    if (categoryId !== undefined && categoryId !== existingTodo.categoryId) changes.push('category');
-    if (userId !== undefined && userId !== existingTodo.userId) changes.push('user');
-    if (tagIds && tagIds.length > 0) changes.push('tags');
-    if (notes && notes.length > 0) changes.push('notes');
-    if (dependencies && dependencies.length > 0) changes.push('dependencies');
+    // 4. Track changes for history: before/after values of every field that actually changes
+    const parseOptionalId = (value) => value === undefined ? undefined : (value === null ? null : parseInt(value));
+    const previousState = snapshotTodo(existingTodo);
+    const removedTagIds = removeTags.map(tagId => parseInt(tagId));
+    const removedDependencyIds = (removeDependencies || []).map(depId => parseInt(depId));
+    const changes = diffValues(previousState, {
+      title,
+      description,
+      completed,
+      priority,
+      startAt,
+      dueAt,
+      category: parseOptionalId(categoryId),
+      user: parseOptionalId(userId),
+      tags: sortIds([
+        ...previousState.tags.filter(tagId => !removedTagIds.includes(tagId)),
+        ...(tagIds || []).map(tagId => parseInt(tagId))
+      ]),
+      dependencies: sortIds([
+        ...previousState.dependencies.filter(depId => !removedDependencyIds.includes(depId)),
+        ...(dependencies || []).map(depId => parseInt(depId))
+      ])
+    });
     
-    console.log(`📋 Detected changes in fields: ${changes.join(', ')}`);
+    console.log(`📋 Detected changes in fields: ${changes.map(change => change.field).join(', ')}`);
     
     // 5. Validate tags exist if adding new ones
     if (tagIds && tagIds.length > 0) {
       const tagCount = await prisma.tag.count({
         where: {
-          id: { in: tagIds.map(id => parseInt(id)) }
+          id: { in: tagIds.map(id => parseInt(id)) },
+          ...inWorkspace(req.user)
         }
       });
       
       if (tagCount !== tagIds.length) {
-        return res.status(400).json({ error: 'Some tags not found' });
+        return res.status(400).json({ error: 'Some tags not found', code: 'INVALID_REFERENCE' });
       }
       console.log(`✅ Validated ${tagIds.length} tags to add`);
     }
     
-    // 6. Validate dependencies exist if adding new ones
-    if (dependencies && dependencies.length > 0) {
-      const depCount = await prisma.todo.count({
-        where: {
-          id: { in: dependencies.map(id => parseInt(id)) }
-        }
-      });
-      
-      if (depCount !== dependencies.length) {
-        return res.status(400).json({ error: 'Some dependencies not found' });
-      }
-      console.log(`✅ Validated ${dependencies.length} dependencies to add`);
-    }
-    
-    // 7. Check for circular dependencies
-    if (dependencies && dependencies.length > 0) {
-      // Ensure the todo doesn't depend on itself
-      if (dependencies.includes(id)) {
-        return res.status(400).json({ error: 'A todo cannot depend on itself' });
-      }
-      
-      // Check for circular dependencies - todos that depend on this todo
-      const todosThatDependOnThis = await prisma.todo.findMany({
-        where: {
-          dependencies: {
-            some: {
-              id
-            }
-          }
-        },
-        select: { id: true }
-      });
-      
-      const dependentIds = todosThatDependOnThis.map(t => t.id);
-      const hasCircularDep = dependencies.some(depId => 
-        dependentIds.includes(parseInt(depId))
-      );
-      
-      if (hasCircularDep) {
-        return res.status(400).json({ error: 'Circular dependency detected' });
-      }
-      console.log(`✅ No circular dependencies detected`);
-    }
-    
-    // 8. Check notes to remove exist
+    // 6. Check notes to remove exist
     if (removeNotes && removeNotes.length > 0) {
       const noteCount = await prisma.note.count({
         where: {
@@ -771,13 +1780,22 @@ app.put('/api/todos/:id', async (req, res) => {
       });
       
       if (noteCount !== removeNotes.length) {
-        return res.status(400).json({ error: 'Some notes to remove not found' });
+        return res.status(400).json({ error: 'Some notes to remove not found', code: 'INVALID_REFERENCE' });
       }
       console.log(`✅ Validated ${removeNotes.length} notes to remove`);
     }
     
-    // 9. Perform update in a transaction
+    // 7. Perform update in a transaction
     const result = await prisma.$transaction(async (tx) => {
+      // Check for circular dependencies across the whole dependency chain
+      if (dependencies && dependencies.length > 0) {
+        const cycle = await lockedDependencyCycle(tx, existingTodo, dependencies.map(depId => parseInt(depId)));
+        if (cycle) {
+          return { cycle };
+        }
+        console.log(`✅ No circular dependencies detected`);
+      }
+      
       // Update the todo
       const todo = await tx.todo.update({
         where: { id },
@@ -786,8 +1804,10 @@ app.put('/api/todos/:id', async (req, res) => {
           description: description !== undefined ? description : undefined,
           completed: completed !== undefined ? completed : undefined,
           priority: priority !== undefined ? priority : undefined,
-          categoryId: categoryId !== undefined ? parseInt(categoryId) : undefined,
-          userId: userId !== undefined ? parseInt(userId) : undefined,
+          startAt,
+          dueAt,
+          categoryId: parseOptionalId(categoryId),
+          userId: parseOptionalId(userId),
         }
       });
       console.log(`✅ Updated core todo fields`);
@@ -876,20 +1896,65 @@ app.put('/api/todos/:id', async (req, res) => {
         console.log(`✅ Removed dependencies`);
       }
       
-      // Add history entry for the update
-      await tx.todoHistory.create({
-        data: {
+      // Note ids are only known once the new notes exist
+      if ((notes && notes.length > 0) || removeNotes.length > 0) {
+        const currentNotes = await tx.note.findMany({
+          where: { todoId: id },
+          select: { id: true }
+        });
+        changes.push(...diffValues(previousState, {
+          notes: sortIds(currentNotes.map(n => n.id))
+        }));
+      }
+      
+      // Add history entry for the update; a forced completion is recorded
+      // on its own entry below
+      const updateChanges = forced ? changes.filter(change => change.field !== 'completed') : changes;
+      if (updateChanges.length > 0) {
+        await recordHistory(tx, req.audit, {
           todoId: id,
           action: 'UPDATED',
-          description: `Updated fields: ${changes.join(', ')}`
-        }
-      });
-      console.log(`✅ Added history entry for update`);
+          description: `Updated fields: ${updateChanges.map(change => change.field).join(', ')}`,
+          changes: updateChanges
+        });
+        console.log(`✅ Added history entry for update`);
+      }
       
-      return todo;
+      if (forced) {
+        await recordHistory(tx, req.audit, {
+          todoId: id,
+          action: 'FORCE_COMPLETED',
+          description: `Todo was marked as completed despite uncompleted dependencies: ${describeTodos(uncompletedDependencies)}`,
+          changes: [{ field: 'completed', from: false, to: true }]
+        });
+      }
+      
+      // Reopen completed dependents when a prerequisite is reopened
+      const reopenedDependents = completed === false && existingTodo.completed && cascade
+        ? await reopenDependents(tx, req.audit, todo, req.user)
+        : [];
+      
+      // Completing a recurring todo schedules its next occurrence, and
+      // completing the last open subtask completes the parent
+      const completing = completed === true && !existingTodo.completed;
+      const nextOccurrence = completing && todo.seriesId
+        ? await createNextOccurrence(tx, req.audit, todo)
+        : null;
+      const completedAncestors = completing
+        ? await completeAncestors(tx, req.audit, todo, req.user)
+        : [];
+      
+      return { todo, reopenedDependents, nextOccurrence, completedAncestors };
     });
     
-    // 10. Get the updated todo with all relations
+    if (result.cycle) {
+      if (result.cycle.length === 2) {
+        return res.status(400).json({ error: 'A todo cannot depend on itself', code: 'CYCLE' });
+      }
+      return res.status(400).json({ error: 'Circular dependency detected', code: 'CYCLE', cycle: result.cycle });
+    }
+    
+    // 8. Get the updated todo with all relations
     const updatedTodo = await prisma.todo.findUnique({
       where: { id },
       include: {
@@ -902,6 +1967,7 @@ app.put('/api/todos/:id', async (req, res) => {
         },
         notes: true,
         dependencies: {
+          where: visible,
           select: {
             id: true,
             title: true,
@@ -909,6 +1975,7 @@ app.put('/api/todos/:id', async (req, res) => {
           }
         },
         dependencyOf: {
+          where: visible,
           select: {
             id: true,
             title: true,
@@ -931,23 +1998,39 @@ app.put('/api/todos/:id', async (req, res) => {
         ...updatedTodo,
         tags: updatedTodo.tags.map(t => t.tag)
       },
-      changedFields: changes
+      changedFields: changes.map(change => change.field),
+      forced,
+      reopenedDependents: result.reopenedDependents,
+      nextOccurrence: result.nextOccurrence,
+      completedAncestors: result.completedAncestors
     });
   } catch (error) {
     console.error('Error updating todo:', error);
-    res.status(500).json({ error: 'Failed to update todo' });
+    sendError(res, error, 'Failed to update todo');
   }
 });
 
 // DELETE todo with complex operations
-app.delete('/api/todos/:id', async (req, res) => {
+app.delete('/api/todos/:id', validate(schemas.deleteTodo), async (req, res) => {
   try {
     console.log(`🔍 Processing DELETE /api/todos/${req.params.id} with complex operations`);
     const id = parseInt(req.params.id);
+    const permanent = req.query.permanent === 'true';
     
-    // 1. Check if todo exists with relations
-    const existingTodo = await prisma.todo.findUnique({
-      where: { id },
+    // Trashing keeps the dependency edges, so only block applies to it
+    if (!permanent && req.query.strategy && req.query.strategy !== 'block') {
+      return res.status(400).json({
+        error: `strategy=${req.query.strategy} only applies with permanent=true; moving a todo to the trash keeps its dependents' edges`,
+        code: 'BAD_REQUEST'
+      });
+    }
+    const strategy = req.query.strategy || (permanent ? 'detach' : null);
+    
+    // 1. Check if todo exists with relations (trashed todos can only be deleted permanently)
+    // and the caller may change it
+    const visible = visibleTodos(req.user);
+    const existingTodo = await prisma.todo.findFirst({
+      where: permanent ? { id, AND: [visibleTodoWhere(req.user)] } : { id, ...visible },
       include: {
         tags: true,
         notes: true,
@@ -959,13 +2042,17 @@ app.delete('/api/todos/:id', async (req, res) => {
     });
     
     if (!existingTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, existingTodo)) {
+      return res.status(403).json({ error: 'Only the owner can delete this todo', code: 'FORBIDDEN' });
     }
     console.log(`✅ Found todo to delete with ID ${id}`);
     
     // 2. Check if this todo is a dependency for others
     const dependentTodos = await prisma.todo.findMany({
       where: {
+        ...(permanent ? {} : ACTIVE_TODO),
         dependencies: {
           some: {
             id
@@ -980,6 +2067,14 @@ app.delete('/api/todos/:id', async (req, res) => {
     
     console.log(`📊 Found ${dependentTodos.length} todos dependent on this one`);
     
+    if (strategy === 'block' && dependentTodos.length > 0) {
+      return res.status(409).json({
+        error: 'Other todos depend on this todo',
+        code: 'BLOCKED',
+        dependentTodos
+      });
+    }
+    
     // 3. Count relations
     const tagCount = existingTodo.tags.length;
     const noteCount = existingTodo.notes.length;
@@ -992,12 +2087,14 @@ app.delete('/api/todos/:id', async (req, res) => {
     // 4. Get related data counts for statistics
     const userTodoCount = existingTodo.userId ? await prisma.todo.count({
       where: {
+        ...visible,
         userId: existingTodo.userId
       }
     }) : 0;
     
     const categoryTodoCount = existingTodo.categoryId ? await prisma.todo.count({
       where: {
+        ...visible,
         categoryId: existingTodo.categoryId
       }
     }) : 0;
@@ -1008,6 +2105,7 @@ app.delete('/api/todos/:id', async (req, res) => {
     const tagIds = existingTodo.tags.map(t => t.tagId);
     const todosWithSimilarTags = tagIds.length > 0 ? await prisma.todo.count({
       where: {
+        ...visible,
         id: { not: id },
         tags: {
           some: {
@@ -1033,29 +2131,47 @@ app.delete('/api/todos/:id', async (req, res) => {
     console.log(`📊 Todo has attachments: ${hasAttachments}`);
     
     // 8. Calculate system impact
-    const totalTodoCount = await prisma.todo.count();
+    const totalTodoCount = await prisma.todo.count({ where: visible });
     const percentOfSystem = ((1 / totalTodoCount) * 100).toFixed(2);
     
     console.log(`📊 Todo represents ${percentOfSystem}% of all todos`);
     
-    // 9. Delete the todo and all relations in a transaction
-    await prisma.$transaction(async (tx) => {
-      // Automatically cascades to delete related tagsOnTodos, notes, history, and attachments
-      // thanks to the onDelete: Cascade in our schema
-      await tx.todo.delete({
-        where: { id }
+    // 9. Either delete the todo for good, or move it to the trash keeping every
+    // relation intact so it can be restored
+    let modifiedTodos;
+    if (permanent) {
+      modifiedTodos = await purgeTodo(req.audit, existingTodo, dependentTodos, strategy);
+    } else {
+      modifiedTodos = await prisma.$transaction(async (tx) => {
+        const deletedAt = new Date();
+        await tx.todo.update({
+          where: { id },
+          data: { deletedAt }
+        });
+        
+        await recordHistory(tx, req.audit, {
+          todoId: id,
+          action: 'TRASHED',
+          description: 'Todo was moved to the trash',
+          changes: [{ field: 'deletedAt', from: null, to: deletedAt }]
+        });
+        
+        for (const dependent of dependentTodos) {
+          await recordHistory(tx, req.audit, {
+            todoId: dependent.id,
+            action: 'DEPENDENCY_TRASHED',
+            description: `Dependency #${id} ${existingTodo.title} was moved to the trash`
+          });
+        }
+        
+        console.log(`✅ Moved todo ID ${id} to the trash`);
+        return dependentTodos.map(dependent => ({
+          id: dependent.id,
+          title: dependent.title,
+          removedDependency: null,
+          addedDependencies: []
+        }));
       });
-      
-      console.log(`✅ Deleted todo ID ${id} and all its relations`);
-    });
-    
-    // 10. Update dependent todos to remove this dependency
-    if (dependentTodos.length > 0) {
-      console.log(`📊 Updating ${dependentTodos.length} dependent todos`);
-      
-      // In a real app, you might want to add history entries for each dependent todo
-      // or notify users that a dependency was removed
-      console.log(`✅ Dependencies have been automatically removed by the database`);
     }
     
     console.log(`🎉 Successfully completed deletion of todo ID ${id}`);
@@ -1063,6 +2179,8 @@ app.delete('/api/todos/:id', async (req, res) => {
     res.json({
       id,
       deleted: true,
+      permanent,
+      purgeAfter: permanent ? null : new Date(Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000),
       stats: {
         relations: {
           tags: tagCount,
@@ -1082,238 +2200,2450 @@ app.delete('/api/todos/:id', async (req, res) => {
           ageInDays,
           completionTime
         }
-      },
-      dependentTodos
+      },
+      dependentTodos,
+      strategy,
+      modifiedTodos
+    });
+  } catch (error) {
+    console.error('Error deleting todo:', error);
+    sendError(res, error, 'Failed to delete todo');
+  }
+});
+
+// TOGGLE todo completion with complex operations
+app.patch('/api/todos/:id/toggle', validate(schemas.toggleTodo), async (req, res) => {
+  try {
+    console.log(`🔍 Processing PATCH /api/todos/${req.params.id}/toggle with complex operations`);
+    const id = parseInt(req.params.id);
+    const force = req.query.force === 'true';
+    const cascade = req.query.cascade === 'true';
+    
+    // 1. Check if todo exists and the caller may change it
+    const visible = visibleTodos(req.user);
+    const existingTodo = await prisma.todo.findFirst({
+      where: { id, ...visible },
+      include: {
+        dependencies: {
+          where: ACTIVE_TODO,
+          select: {
+            id: true,
+            title: true,
+            completed: true
+          }
+        },
+        dependencyOf: {
+          where: ACTIVE_TODO,
+          select: {
+            id: true,
+            title: true,
+            completed: true
+          }
+        }
+      }
+    });
+    
+    if (!existingTodo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, existingTodo)) {
+      return res.status(403).json({ error: 'Only the owner can modify this todo', code: 'FORBIDDEN' });
+    }
+    console.log(`✅ Found todo to toggle with ID ${id}`);
+    
+    // 2. Check dependencies if completing; blockers the caller can't read are named by id only
+    const uncompletedDependencies = !existingTodo.completed
+      ? await visibleBlockers(req.user, existingTodo.dependencies.filter(d => !d.completed))
+      : [];
+    const forced = !existingTodo.completed && uncompletedDependencies.length > 0;
+    if (forced) {
+      console.log(`⚠️ Found ${uncompletedDependencies.length} uncompleted dependencies`);
+      if (!force) {
+        return res.status(409).json({
+          error: 'Todo is blocked by uncompleted dependencies',
+          code: 'BLOCKED',
+          blockers: uncompletedDependencies
+        });
+      }
+      console.log(`⚠️ Completing anyway because force was requested`);
+    }
+    
+    // 3. Get user's completion statistics
+    let userCompletionStats = null;
+    if (existingTodo.userId) {
+      userCompletionStats = await getCompletionStats({ userId: existingTodo.userId, ...visible });
+      console.log(`📊 User completion stats: ${userCompletionStats.completionRate}% complete`);
+    }
+    
+    // 4. Get category completion statistics
+    let categoryCompletionStats = null;
+    if (existingTodo.categoryId) {
+      categoryCompletionStats = await getCompletionStats({ categoryId: existingTodo.categoryId, ...visible });
+      console.log(`📊 Category completion stats: ${categoryCompletionStats.completionRate}% complete`);
+    }
+    
+    // 5. Calculate time metrics
+    const now = new Date();
+    const createdAt = existingTodo.createdAt;
+    const ageInDays = Math.floor((now.getTime() - createdAt.getTime()) / (1000 * 60 * 60 * 24));
+    
+    console.log(`📊 Todo age: ${ageInDays} days`);
+    
+    // 6. Get overall system completion statistics
+    const totalTodos = await prisma.todo.count({ where: visible });
+    const totalCompletedTodos = await prisma.todo.count({
+      where: {
+        ...visible,
+        completed: true
+      }
+    });
+    
+    const systemCompletionRate = ((totalCompletedTodos / totalTodos) * 100).toFixed(2);
+    console.log(`📊 System completion rate: ${systemCompletionRate}% complete`);
+    
+    // 7. Check how many todos depend on this one
+    const dependentTodosCount = await prisma.todo.count({
+      where: {
+        ...visible,
+        dependencies: {
+          some: {
+            id
+          }
+        }
+      }
+    });
+    
+    console.log(`📊 ${dependentTodosCount} todos depend on this one`);
+    
+    // 8. Check if any dependent todos are blocked by this one
+    const blockedTodos = await prisma.todo.findMany({
+      where: {
+        ...visible,
+        dependencies: {
+          some: {
+            id
+          }
+        },
+        // Only todos that have all other dependencies completed would be unblocked
+        NOT: {
+          dependencies: {
+            some: {
+              ...ACTIVE_TODO,
+              id: { not: id },
+              completed: false
+            }
+          }
+        }
+      },
+      select: {
+        id: true,
+        title: true
+      }
+    });
+    
+    console.log(`📊 ${blockedTodos.length} todos will be unblocked if this is completed`);
+    
+    // 9. Get similar todos with same priority and completion status
+    const similarTodos = await prisma.todo.count({
+      where: {
+        ...visible,
+        id: { not: id },
+        priority: existingTodo.priority,
+        completed: existingTodo.completed
+      }
+    });
+    
+    console.log(`📊 Found ${similarTodos} todos with same priority and completion status`);
+    
+    // 10. Perform the toggle in a transaction
+    const toggled = await prisma.$transaction(async (tx) => {
+      // Toggle the completion status
+      const newCompletionStatus = !existingTodo.completed;
+      const todo = await tx.todo.update({
+        where: { id },
+        data: {
+          completed: newCompletionStatus
+        }
+      });
+      
+      // Add history entry
+      await recordHistory(tx, req.audit, forced ? {
+        todoId: id,
+        action: 'FORCE_COMPLETED',
+        description: `Todo was marked as completed despite uncompleted dependencies: ${describeTodos(uncompletedDependencies)}`,
+        changes: [{ field: 'completed', from: false, to: true }]
+      } : {
+        todoId: id,
+        action: newCompletionStatus ? 'COMPLETED' : 'REOPENED',
+        description: newCompletionStatus 
+          ? `Todo was marked as completed` 
+          : `Todo was reopened`,
+        changes: [{ field: 'completed', from: existingTodo.completed, to: newCompletionStatus }]
+      });
+      
+      // Reopen completed todos that (transitively) depend on this one
+      const reopenedDependents = !newCompletionStatus && cascade
+        ? await reopenDependents(tx, req.audit, todo, req.user)
+        : [];
+      
+      // Completing a recurring todo schedules its next occurrence, and
+      // completing the last open subtask completes the parent
+      const nextOccurrence = newCompletionStatus && todo.seriesId
+        ? await createNextOccurrence(tx, req.audit, todo)
+        : null;
+      const completedAncestors = newCompletionStatus
+        ? await completeAncestors(tx, req.audit, todo, req.user)
+        : [];
+      
+      return { todo, reopenedDependents, nextOccurrence, completedAncestors };
+    });
+    
+    const { todo: result, reopenedDependents, nextOccurrence, completedAncestors } = toggled;
+    
+    // Collect updated metrics after the change
+    const completedDelta = result.completed ? 1 : -1 - reopenedDependents.length;
+    const newSystemCompletionRate = (((totalCompletedTodos + completedDelta) / totalTodos) * 100).toFixed(2);
+    
+    console.log(`🎉 Successfully toggled todo ID ${id} to ${result.completed ? 'completed' : 'not completed'}`);
+    
+    res.json({
+      todo: result,
+      forced,
+      nextOccurrence,
+      completedAncestors,
+      dependencyStatus: {
+        uncompletedDependencies,
+        dependentTodosCount,
+        blockedTodos: result.completed ? blockedTodos : [],
+        reopenedDependents
+      },
+      stats: {
+        user: userCompletionStats,
+        category: categoryCompletionStats,
+        system: {
+          previousCompletionRate: systemCompletionRate,
+          newCompletionRate: newSystemCompletionRate,
+          totalTodos,
+          totalCompletedTodos: totalCompletedTodos + completedDelta
+        },
+        todo: {
+          ageInDays,
+          timeToComplete: result.completed ? ageInDays : null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error toggling todo:', error);
+    sendError(res, error, 'Failed to toggle todo');
+  }
+});
+
+// PATCH move a todo, with its subtasks, under another parent or to the top level
+app.patch('/api/todos/:id/parent', validate(schemas.moveTodo), async (req, res) => {
+  try {
+    console.log(`🔍 Processing PATCH /api/todos/${req.params.id}/parent`);
+    const id = req.params.id;
+    const { parentId } = req.body;
+    const visible = visibleTodos(req.user);
+
+    // 1. Check the todo exists and the caller may change it
+    const todo = await prisma.todo.findFirst({ where: { id, ...visible } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, todo)) {
+      return res.status(403).json({ error: 'Only the owner can modify this todo', code: 'FORBIDDEN' });
+    }
+    if (parentId === todo.parentId) {
+      return res.json({ todo, previousParentId: todo.parentId });
+    }
+
+    // 2. Check the new parent
+    let parent = null;
+    if (parentId !== null) {
+      parent = await prisma.todo.findFirst({ where: { id: parentId, ...visible } });
+      if (!parent) {
+        return res.status(400).json({ error: 'Parent todo not found', code: 'INVALID_REFERENCE' });
+      }
+      if (!canEditTodo(req.user, parent)) {
+        return res.status(403).json({ error: 'Only the owner of the parent todo can add subtasks to it', code: 'FORBIDDEN' });
+      }
+    }
+
+    // 3. Move it unless the new parent sits inside the subtree being moved;
+    // its subtasks follow through their parentId
+    const { moved, cycle } = await prisma.$transaction(async (tx) => {
+      if (parentId !== null) {
+        const ancestors = await lockedAncestorIds(tx, todo, parentId);
+        if (ancestors.includes(id)) {
+          return { cycle: ancestors.slice(0, ancestors.indexOf(id) + 1).reverse() };
+        }
+      }
+
+      const updated = await tx.todo.update({
+        where: { id },
+        data: { parentId },
+        include: {
+          parent: {
+            select: {
+              id: true,
+              title: true,
+              completed: true
+            }
+          }
+        }
+      });
+
+      await recordHistory(tx, req.audit, {
+        todoId: id,
+        action: 'MOVED',
+        description: parent ? `Todo was moved under #${parent.id} ${parent.title}` : 'Todo was moved to the top level',
+        changes: [{ field: 'parent', from: todo.parentId, to: parentId }]
+      });
+
+      return { moved: updated };
+    });
+
+    if (cycle) {
+      return res.status(409).json({
+        error: 'A todo can\'t be moved under itself or one of its subtasks',
+        code: 'CYCLE',
+        path: cycle
+      });
+    }
+    console.log(`✅ Moved todo ${id} ${parent ? `under todo ${parent.id}` : 'to the top level'}`);
+
+    res.json({ todo: moved, previousParentId: todo.parentId });
+  } catch (error) {
+    console.error('Error moving todo:', error);
+    sendError(res, error, 'Failed to move todo');
+  }
+});
+
+// GET upstream/downstream dependency graph for a todo
+app.get('/api/todos/:id/dependencies/graph', validate(schemas.dependencyGraph), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/todos/${req.params.id}/dependencies/graph`);
+    const id = parseInt(req.params.id);
+    const { direction = 'both' } = req.query;
+    const depth = Math.min(
+      parseInt(req.query.depth) || DEPENDENCY_GRAPH_DEFAULT_DEPTH,
+      DEPENDENCY_GRAPH_MAX_DEPTH
+    );
+
+    // Only visible todos show up in the graph
+    const visible = visibleTodos(req.user);
+    const todo = await prisma.todo.findFirst({
+      where: { id, ...visible },
+      select: {
+        id: true,
+        title: true,
+        completed: true,
+        priority: true
+      }
+    });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+
+    const describe = async ({ depths, edges }) => {
+      const todos = await prisma.todo.findMany({
+        where: { id: { in: [...depths.keys()].filter(nodeId => nodeId !== id) } },
+        select: {
+          id: true,
+          title: true,
+          completed: true,
+          priority: true
+        }
+      });
+
+      return {
+        nodes: todos
+          .map(t => ({ ...t, depth: depths.get(t.id) }))
+          .sort((a, b) => a.depth - b.depth || a.id - b.id),
+        edges
+      };
+    };
+
+    // 1. Prerequisites, with the order they need to be done in
+    let upstream = null;
+    if (direction !== 'downstream') {
+      const graph = await walk(prisma, [id], 'upstream', { maxDepth: depth, where: visible });
+      upstream = await describe(graph);
+      upstream.order = topologicalOrder([...graph.depths.keys()], graph.edges).order.map(node => node.id);
+      console.log(`📊 Found ${upstream.nodes.length} upstream todos within depth ${depth}`);
+    }
+
+    // 2. Todos waiting on this one
+    let downstream = null;
+    if (direction !== 'upstream') {
+      downstream = await describe(await walk(prisma, [id], 'downstream', { maxDepth: depth, where: visible }));
+      console.log(`📊 Found ${downstream.nodes.length} downstream todos within depth ${depth}`);
+    }
+
+    res.json({
+      todo,
+      depth,
+      upstream,
+      downstream
+    });
+  } catch (error) {
+    console.error('Error fetching dependency graph:', error);
+    sendError(res, error, 'Failed to fetch dependency graph');
+  }
+});
+
+// GET history of a todo, optionally filtered by changed field or action
+app.get('/api/todos/:id/history', validate(schemas.todoHistory), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/todos/${req.params.id}/history`);
+    const id = parseInt(req.params.id);
+    const { page = 1, limit = 10, field, action, view } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    // Trashed todos keep their history readable
+    const todo = await prisma.todo.findFirst({
+      where: { id, AND: [visibleTodoWhere(req.user)] }
+    });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+
+    // 1. Build filters; field matches entries whose changes contain that field
+    const where = { todoId: id };
+    if (action) {
+      where.action = action;
+    }
+    if (field) {
+      where.changes = { array_contains: [{ field }] };
+    }
+
+    // 2. Get the entries with the actor who made them
+    const entries = await prisma.todoHistory.findMany({
+      where,
+      include: {
+        actor: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take
+    });
+    const total = await prisma.todoHistory.count({ where });
+    console.log(`📋 Retrieved ${entries.length} of ${total} history entries for todo ${id}`);
+
+    res.json({
+      data: view === 'diff'
+        ? entries.map(entry => ({ ...entry, diff: renderDiff(entry.changes) }))
+        : entries,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / take),
+        currentPage: parseInt(page),
+        limit: take
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching todo history:', error);
+    sendError(res, error, 'Failed to fetch todo history');
+  }
+});
+
+// GET reminders recorded for a todo, latest first
+app.get('/api/todos/:id/reminders', validate(schemas.todoReminders), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/todos/${req.params.id}/reminders`);
+    const id = parseInt(req.params.id);
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const todo = await prisma.todo.findFirst({
+      where: { id, AND: [visibleTodoWhere(req.user)] }
+    });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+
+    const where = { todoId: id };
+    const [events, total] = await Promise.all([
+      prisma.reminderEvent.findMany({
+        where,
+        orderBy: { remindAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.reminderEvent.count({ where })
+    ]);
+    console.log(`📋 Retrieved ${events.length} of ${total} reminders for todo ${id}`);
+
+    res.json({
+      data: events,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching todo reminders:', error);
+    sendError(res, error, 'Failed to fetch todo reminders');
+  }
+});
+
+// POST revert a todo to its state right after a history entry
+app.post('/api/todos/:id/revert', validate(schemas.revertTodo), async (req, res) => {
+  try {
+    console.log(`🔍 Processing POST /api/todos/${req.params.id}/revert`);
+    const id = parseInt(req.params.id);
+    const { historyId } = req.body;
+
+    // 1. Load the todo and the entry to revert to
+    const visible = visibleTodos(req.user);
+    const existingTodo = await prisma.todo.findFirst({
+      where: { id, ...visible },
+      include: {
+        tags: true,
+        notes: true,
+        dependencies: true
+      }
+    });
+    if (!existingTodo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, existingTodo)) {
+      return res.status(403).json({ error: 'Only the owner can modify this todo', code: 'FORBIDDEN' });
+    }
+
+    const entry = await prisma.todoHistory.findFirst({
+      where: { id: parseInt(historyId), todoId: id }
+    });
+    if (!entry) {
+      return res.status(404).json({ error: 'History entry not found', code: 'NOT_FOUND' });
+    }
+
+    // 2. Rebuild the field values from the entries written since then
+    const laterEntries = await prisma.todoHistory.findMany({
+      where: { todoId: id, id: { gt: entry.id } },
+      orderBy: { id: 'asc' }
+    });
+    const currentState = snapshotTodo(existingTodo);
+    const targetState = stateBefore(currentState, laterEntries);
+    if (!targetState) {
+      return res.status(409).json({
+        error: 'Cannot revert past history entries that do not record their changes',
+        code: 'CONFLICT'
+      });
+    }
+
+    if (!isAdmin(req.user) && targetState.user !== currentState.user) {
+      return res.status(403).json({ error: 'Only admins can reassign todos', code: 'FORBIDDEN' });
+    }
+
+    const changes = diffValues(currentState, targetState);
+    if (changes.length === 0) {
+      return res.json({ todo: existingTodo, changedFields: [], changed: false });
+    }
+    console.log(`📋 Reverting fields: ${changes.map(change => change.field).join(', ')}`);
+
+    // 3. Everything the old state points at must still exist
+    const missing = {};
+    if (targetState.category !== null &&
+        !(await prisma.category.findFirst({ where: { id: targetState.category, ...inWorkspace(req.user) } }))) {
+      missing.category = targetState.category;
+    }
+    if (targetState.user !== null &&
+        !(await prisma.user.findFirst({ where: { id: targetState.user, ...inWorkspace(req.user) } }))) {
+      missing.user = targetState.user;
+    }
+    const tags = await prisma.tag.findMany({
+      where: { id: { in: targetState.tags }, ...inWorkspace(req.user) },
+      select: { id: true }
+    });
+    if (tags.length !== targetState.tags.length) {
+      missing.tags = targetState.tags.filter(tagId => !tags.some(t => t.id === tagId));
+    }
+    const dependencyTodos = await prisma.todo.findMany({
+      where: { id: { in: targetState.dependencies }, AND: [visibleTodoWhere(req.user)] },
+      select: { id: true }
+    });
+    if (dependencyTodos.length !== targetState.dependencies.length) {
+      missing.dependencies = targetState.dependencies.filter(depId => !dependencyTodos.some(t => t.id === depId));
+    }
+    if (Object.keys(missing).length > 0) {
+      return res.status(409).json({ error: 'The earlier state references records that no longer exist', code: 'INVALID_REFERENCE', missing });
+    }
+
+    // 4. Apply the old values and record the revert, unless re-adding
+    // dependencies would close a loop
+    const addedDependencies = targetState.dependencies.filter(depId => !currentState.dependencies.includes(depId));
+    const cycle = await prisma.$transaction(async (tx) => {
+      if (addedDependencies.length > 0) {
+        const cycle = await lockedDependencyCycle(tx, existingTodo, addedDependencies);
+        if (cycle) {
+          return cycle;
+        }
+      }
+
+      await tx.todo.update({
+        where: { id },
+        data: {
+          title: targetState.title,
+          description: targetState.description,
+          priority: targetState.priority,
+          startAt: targetState.startAt,
+          dueAt: targetState.dueAt,
+          categoryId: targetState.category,
+          userId: targetState.user,
+          dependencies: {
+            set: targetState.dependencies.map(depId => ({ id: depId }))
+          }
+        }
+      });
+
+      await tx.tagsOnTodos.deleteMany({
+        where: {
+          todoId: id,
+          tagId: { notIn: targetState.tags }
+        }
+      });
+      await tx.tagsOnTodos.createMany({
+        data: targetState.tags.map(tagId => ({ todoId: id, tagId })),
+        skipDuplicates: true
+      });
+
+      await recordHistory(tx, req.audit, {
+        todoId: id,
+        action: 'REVERTED',
+        description: `Reverted to history entry #${entry.id}: ${changes.map(change => change.field).join(', ')}`,
+        changes
+      });
+      return null;
+    });
+    if (cycle) {
+      return res.status(409).json({ error: 'Circular dependency detected', code: 'CYCLE', cycle });
+    }
+    console.log(`✅ Reverted todo ID ${id} to history entry #${entry.id}`);
+
+    const todo = await prisma.todo.findUnique({
+      where: { id },
+      include: {
+        category: true,
+        user: true,
+        tags: {
+          include: {
+            tag: true
+          }
+        },
+        dependencies: {
+          where: visible,
+          select: {
+            id: true,
+            title: true,
+            completed: true
+          }
+        }
+      }
+    });
+
+    res.json({
+      todo: {
+        ...todo,
+        tags: todo.tags.map(t => t.tag)
+      },
+      changedFields: changes.map(change => change.field),
+      changed: true
+    });
+  } catch (error) {
+    console.error('Error reverting todo:', error);
+    sendError(res, error, 'Failed to revert todo');
+  }
+});
+
+// GET users a todo is shared with
+app.get('/api/todos/:id/shares', validate(schemas.listShares), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/todos/${req.params.id}/shares`);
+    const id = parseInt(req.params.id);
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, todo)) {
+      return res.status(403).json({ error: 'Only the owner can manage sharing', code: 'FORBIDDEN' });
+    }
+
+    const shares = await prisma.todoShare.findMany({
+      where: { todoId: id },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+    console.log(`📋 Todo ${id} is shared with ${shares.length} users`);
+
+    res.json({ data: shares });
+  } catch (error) {
+    console.error('Error fetching shares:', error);
+    sendError(res, error, 'Failed to fetch shares');
+  }
+});
+
+// SHARE a todo read-only with another user
+app.post('/api/todos/:id/shares', validate(schemas.createShare), async (req, res) => {
+  try {
+    console.log(`🔍 Processing POST /api/todos/${req.params.id}/shares`);
+    const id = parseInt(req.params.id);
+    const { userId } = req.body;
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, todo)) {
+      return res.status(403).json({ error: 'Only the owner can manage sharing', code: 'FORBIDDEN' });
+    }
+
+    const user = await prisma.user.findFirst({ where: { id: parseInt(userId), ...inWorkspace(req.user) } });
+    if (!user) {
+      return res.status(400).json({ error: 'User not found', code: 'INVALID_REFERENCE' });
+    }
+    if (user.id === todo.userId) {
+      return res.status(400).json({ error: 'Todo already belongs to this user', code: 'BAD_REQUEST' });
+    }
+
+    const share = await prisma.$transaction(async (tx) => {
+      const sharedWith = await tx.todoShare.findMany({
+        where: { todoId: id },
+        select: { userId: true }
+      });
+      const sharedUserIds = sortIds(sharedWith.map(s => s.userId));
+
+      const created = await tx.todoShare.create({
+        data: {
+          todoId: id,
+          userId: user.id
+        }
+      });
+
+      await recordHistory(tx, req.audit, {
+        todoId: id,
+        action: 'SHARED',
+        description: `Todo was shared with ${user.name}`,
+        changes: [{ field: 'shares', from: sharedUserIds, to: sortIds([...sharedUserIds, user.id]) }]
+      });
+
+      return created;
+    });
+    console.log(`✅ Shared todo ${id} with user ${user.id}`);
+
+    res.status(201).json({ share });
+  } catch (error) {
+    console.error('Error sharing todo:', error);
+    sendError(res, error, 'Failed to share todo', { P2002: 'Todo is already shared with this user' });
+  }
+});
+
+// UNSHARE a todo; the owner can remove anyone, a user can remove themselves
+app.delete('/api/todos/:id/shares/:userId', validate(schemas.deleteShare), async (req, res) => {
+  try {
+    console.log(`🔍 Processing DELETE /api/todos/${req.params.id}/shares/${req.params.userId}`);
+    const id = parseInt(req.params.id);
+    const userId = parseInt(req.params.userId);
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, todo) && userId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the owner can manage sharing', code: 'FORBIDDEN' });
+    }
+
+    const share = await prisma.todoShare.findUnique({
+      where: { todoId_userId: { todoId: id, userId } }
+    });
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found', code: 'NOT_FOUND' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const sharedWith = await tx.todoShare.findMany({
+        where: { todoId: id },
+        select: { userId: true }
+      });
+      const sharedUserIds = sortIds(sharedWith.map(s => s.userId));
+
+      await tx.todoShare.delete({
+        where: { todoId_userId: { todoId: id, userId } }
+      });
+
+      await recordHistory(tx, req.audit, {
+        todoId: id,
+        action: 'UNSHARED',
+        description: `Todo is no longer shared with user #${userId}`,
+        changes: [{ field: 'shares', from: sharedUserIds, to: sharedUserIds.filter(sharedId => sharedId !== userId) }]
+      });
+    });
+    console.log(`✅ Unshared todo ${id} from user ${userId}`);
+
+    res.json({ todoId: id, userId, deleted: true });
+  } catch (error) {
+    console.error('Error unsharing todo:', error);
+    sendError(res, error, 'Failed to unshare todo');
+  }
+});
+
+// GET notes for a todo
+app.get('/api/todos/:id/notes', validate(schemas.listNotes), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/todos/${req.params.id}/notes`);
+    const id = parseInt(req.params.id);
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+
+    const notes = await prisma.note.findMany({
+      where: { todoId: id },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take
+    });
+    const total = await prisma.note.count({ where: { todoId: id } });
+    console.log(`📋 Retrieved ${notes.length} of ${total} notes for todo ${id}`);
+
+    res.json({
+      data: notes,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / take),
+        currentPage: parseInt(page),
+        limit: take
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    sendError(res, error, 'Failed to fetch notes');
+  }
+});
+
+// CREATE note on a todo
+app.post('/api/todos/:id/notes', validate(schemas.createNote), async (req, res) => {
+  try {
+    console.log(`🔍 Processing POST /api/todos/${req.params.id}/notes`);
+    const id = parseInt(req.params.id);
+    const { content } = req.body;
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, todo)) {
+      return res.status(403).json({ error: 'Only the owner can modify this todo', code: 'FORBIDDEN' });
+    }
+
+    const note = await prisma.$transaction(async (tx) => {
+      const noteIds = await relationIds(tx, 'note', id);
+      const created = await tx.note.create({
+        data: {
+          todoId: id,
+          content
+        }
+      });
+
+      await recordHistory(tx, req.audit, {
+        todoId: id,
+        action: 'NOTE_ADDED',
+        description: `Note ${created.id} was added`,
+        changes: [{ field: 'notes', from: noteIds, to: sortIds([...noteIds, created.id]) }]
+      });
+
+      return created;
+    });
+    console.log(`✅ Added note ${note.id} to todo ${id}`);
+
+    res.status(201).json({ note });
+  } catch (error) {
+    console.error('Error creating note:', error);
+    sendError(res, error, 'Failed to create note');
+  }
+});
+
+// UPDATE note on a todo
+app.put('/api/todos/:id/notes/:noteId', validate(schemas.updateNote), async (req, res) => {
+  try {
+    console.log(`🔍 Processing PUT /api/todos/${req.params.id}/notes/${req.params.noteId}`);
+    const id = parseInt(req.params.id);
+    const noteId = parseInt(req.params.noteId);
+    const { content } = req.body;
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, todo)) {
+      return res.status(403).json({ error: 'Only the owner can modify this todo', code: 'FORBIDDEN' });
+    }
+
+    const existingNote = await prisma.note.findFirst({
+      where: {
+        id: noteId,
+        todoId: id,
+        todo: ACTIVE_TODO
+      }
+    });
+    if (!existingNote) {
+      return res.status(404).json({ error: 'Note not found', code: 'NOT_FOUND' });
+    }
+
+    if (existingNote.content === content) {
+      return res.json({ note: existingNote, changed: false });
+    }
+
+    const note = await prisma.$transaction(async (tx) => {
+      const updated = await tx.note.update({
+        where: { id: noteId },
+        data: { content }
+      });
+
+      await recordHistory(tx, req.audit, {
+        todoId: id,
+        action: 'NOTE_UPDATED',
+        description: `Note ${noteId} was edited`,
+        changes: [{ field: 'note', noteId, from: existingNote.content, to: content }]
+      });
+
+      return updated;
+    });
+    console.log(`✅ Updated note ${noteId} on todo ${id}`);
+
+    res.json({ note, changed: true });
+  } catch (error) {
+    console.error('Error updating note:', error);
+    sendError(res, error, 'Failed to update note');
+  }
+});
+
+// DELETE note from a todo
+app.delete('/api/todos/:id/notes/:noteId', validate(schemas.deleteNote), async (req, res) => {
+  try {
+    console.log(`🔍 Processing DELETE /api/todos/${req.params.id}/notes/${req.params.noteId}`);
+    const id = parseInt(req.params.id);
+    const noteId = parseInt(req.params.noteId);
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, todo)) {
+      return res.status(403).json({ error: 'Only the owner can modify this todo', code: 'FORBIDDEN' });
+    }
+
+    const existingNote = await prisma.note.findFirst({
+      where: {
+        id: noteId,
+        todoId: id,
+        todo: ACTIVE_TODO
+      }
+    });
+    if (!existingNote) {
+      return res.status(404).json({ error: 'Note not found', code: 'NOT_FOUND' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const noteIds = await relationIds(tx, 'note', id);
+      await tx.note.delete({ where: { id: noteId } });
+
+      await recordHistory(tx, req.audit, {
+        todoId: id,
+        action: 'NOTE_DELETED',
+        description: `Note ${noteId} was deleted`,
+        changes: [{ field: 'notes', from: noteIds, to: noteIds.filter(noteIdInSet => noteIdInSet !== noteId) }]
+      });
+    });
+    console.log(`✅ Deleted note ${noteId} from todo ${id}`);
+
+    res.json({ id: noteId, deleted: true });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    sendError(res, error, 'Failed to delete note');
+  }
+});
+
+// GET attachments for a todo
+app.get('/api/todos/:id/attachments', validate(schemas.listAttachments), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/todos/${req.params.id}/attachments`);
+    const id = parseInt(req.params.id);
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+
+    const attachments = await prisma.attachment.findMany({
+      where: { todoId: id },
+      orderBy: { createdAt: 'desc' }
+    });
+    console.log(`📎 Retrieved ${attachments.length} attachments for todo ${id}`);
+
+    res.json({ data: attachments });
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    sendError(res, error, 'Failed to fetch attachments');
+  }
+});
+
+// UPLOAD attachment to a todo (multipart/form-data, field "file")
+app.post('/api/todos/:id/attachments', validate(schemas.uploadAttachment), handleUpload, async (req, res) => {
+  try {
+    console.log(`🔍 Processing POST /api/todos/${req.params.id}/attachments`);
+    const id = parseInt(req.params.id);
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required in the "file" field', code: 'BAD_REQUEST' });
+    }
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, todo)) {
+      return res.status(403).json({ error: 'Only the owner can modify this todo', code: 'FORBIDDEN' });
+    }
+
+    // 1. Store the file first so a failed write never leaves a dangling row
+    const key = `${id}/${crypto.randomUUID()}${path.extname(req.file.originalname)}`;
+    await storage.save(key, req.file.buffer);
+    console.log(`✅ Stored ${req.file.size} bytes as ${key}`);
+
+    // 2. Record the attachment, removing the file again if that fails
+    let attachment;
+    try {
+      attachment = await prisma.$transaction(async (tx) => {
+        const attachmentIds = await relationIds(tx, 'attachment', id);
+        const created = await tx.attachment.create({
+          data: {
+            todoId: id,
+            filename: req.file.originalname,
+            filepath: key,
+            mimeType: req.file.mimetype
+          }
+        });
+
+        await recordHistory(tx, req.audit, {
+          todoId: id,
+          action: 'ATTACHMENT_ADDED',
+          description: `Attachment ${created.filename} was uploaded`,
+          changes: [{ field: 'attachments', from: attachmentIds, to: sortIds([...attachmentIds, created.id]) }]
+        });
+
+        return created;
+      });
+    } catch (error) {
+      // A failed cleanup is only logged, so the caller still learns why the upload failed
+      try {
+        await storage.remove(key);
+      } catch (cleanupError) {
+        console.error(`⚠️ Failed to remove stored file ${key}:`, cleanupError);
+      }
+      throw error;
+    }
+    console.log(`✅ Added attachment ${attachment.id} to todo ${id}`);
+
+    res.status(201).json({
+      attachment,
+      size: req.file.size
+    });
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    sendError(res, error, 'Failed to upload attachment');
+  }
+});
+
+// DOWNLOAD attachment content
+app.get('/api/todos/:id/attachments/:attachmentId/download', validate(schemas.attachment), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/todos/${req.params.id}/attachments/${req.params.attachmentId}/download`);
+    const id = parseInt(req.params.id);
+    const attachmentId = parseInt(req.params.attachmentId);
+
+    const attachment = await prisma.attachment.findFirst({
+      where: {
+        id: attachmentId,
+        todoId: id,
+        todo: visibleTodos(req.user)
+      }
+    });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found', code: 'NOT_FOUND' });
+    }
+
+    const stored = await storage.stat(attachment.filepath);
+    if (!stored) {
+      console.log(`❌ Stored file ${attachment.filepath} is missing`);
+      return res.status(404).json({ error: 'Attachment file is missing', code: 'NOT_FOUND' });
+    }
+
+    // res.attachment() sets a type from the file name; the stored type wins
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': stored.size,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    const stream = storage.createReadStream(attachment.filepath);
+    stream.on('error', (error) => {
+      console.error('Error streaming attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    sendError(res, error, 'Failed to download attachment');
+  }
+});
+
+// DELETE attachment and its stored file
+app.delete('/api/todos/:id/attachments/:attachmentId', validate(schemas.attachment), async (req, res) => {
+  try {
+    console.log(`🔍 Processing DELETE /api/todos/${req.params.id}/attachments/${req.params.attachmentId}`);
+    const id = parseInt(req.params.id);
+    const attachmentId = parseInt(req.params.attachmentId);
+
+    const todo = await prisma.todo.findFirst({ where: { id, ...visibleTodos(req.user) } });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found', code: 'NOT_FOUND' });
+    }
+    if (!canEditTodo(req.user, todo)) {
+      return res.status(403).json({ error: 'Only the owner can modify this todo', code: 'FORBIDDEN' });
+    }
+
+    const attachment = await prisma.attachment.findFirst({
+      where: {
+        id: attachmentId,
+        todoId: id,
+        todo: ACTIVE_TODO
+      }
+    });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found', code: 'NOT_FOUND' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const attachmentIds = await relationIds(tx, 'attachment', id);
+      await tx.attachment.delete({ where: { id: attachmentId } });
+
+      await recordHistory(tx, req.audit, {
+        todoId: id,
+        action: 'ATTACHMENT_DELETED',
+        description: `Attachment ${attachment.filename} was deleted`,
+        changes: [{ field: 'attachments', from: attachmentIds, to: attachmentIds.filter(existingId => existingId !== attachmentId) }]
+      });
+    });
+
+    await removeStoredFiles([attachment]);
+    console.log(`✅ Deleted attachment ${attachmentId} from todo ${id}`);
+
+    res.json({ id: attachmentId, deleted: true });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    sendError(res, error, 'Failed to delete attachment');
+  }
+});
+
+// A series with the live occurrences the user may read, oldest first, or
+// null when the user can't see any of them
+const findSeries = async (user, id) => {
+  const series = await prisma.todoSeries.findFirst({
+    where: { id, ...inWorkspace(user) },
+    include: {
+      todos: {
+        where: visibleTodos(user),
+        select: {
+          id: true,
+          title: true,
+          completed: true,
+          dueAt: true,
+          userId: true,
+          workspaceId: true
+        },
+        orderBy: { id: 'asc' }
+      }
+    }
+  });
+  return series && series.todos.length > 0 ? series : null;
+};
+
+// Series as returned by the API, with its status and the date the next
+// occurrence would be due if the latest one were completed now
+const presentSeries = (series) => {
+  const latest = series.todos[series.todos.length - 1];
+  const nextOccurrenceAt = series.stoppedAt
+    ? null
+    : nextOccurrence(parseRule(series.rule), series.anchorAt, (latest && latest.dueAt) || new Date(), series.occurrences);
+  return {
+    ...series,
+    status: series.stoppedAt ? 'stopped' : (nextOccurrenceAt ? 'active' : 'finished'),
+    nextOccurrenceAt
+  };
+};
+
+// POST make an existing todo the first occurrence of a series
+app.post('/api/series', validate(schemas.createSeries), async (req, res) => {
+  try {
+    console.log('🔍 Processing POST /api/series');
+    const { todoId, rule } = req.body;
+
+    const todo = await prisma.todo.findFirst({
+      where: { id: todoId, ...visibleTodos(req.user) },
+      include: { series: true }
+    });
+    if (!todo) {
+      return res.status(400).json({ error: 'Todo not found', code: 'INVALID_REFERENCE' });
+    }
+    if (!canEditTodo(req.user, todo)) {
+      return res.status(403).json({ error: 'Only the owner can make this todo repeat', code: 'FORBIDDEN' });
+    }
+    // A stopped series can be replaced, a running one has to be edited
+    if (todo.series && !todo.series.stoppedAt) {
+      return res.status(409).json({ error: `Todo already repeats as part of series #${todo.series.id}`, code: 'CONFLICT' });
+    }
+
+    const series = await prisma.$transaction(async (tx) => {
+      const created = await tx.todoSeries.create({
+        data: {
+          rule,
+          anchorAt: todo.dueAt || todo.createdAt,
+          workspaceId: req.user.workspaceId
+        }
+      });
+      await tx.todo.update({
+        where: { id: todoId },
+        data: { seriesId: created.id }
+      });
+
+      await recordHistory(tx, req.audit, {
+        todoId,
+        action: 'RECURRENCE_SET',
+        description: `Todo now repeats ${rule}`,
+        changes: [{ field: 'recurrence', from: todo.series ? todo.series.rule : null, to: rule }]
+      });
+
+      return created;
+    });
+    console.log(`✅ Created series ${series.id} starting with todo ${todoId}`);
+
+    res.status(201).json({ series: presentSeries(await findSeries(req.user, series.id)) });
+  } catch (error) {
+    console.error('Error creating series:', error);
+    sendError(res, error, 'Failed to create series');
+  }
+});
+
+// GET a series with its occurrences
+app.get('/api/series/:id', validate(schemas.getSeries), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/series/${req.params.id}`);
+    const series = await findSeries(req.user, req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found', code: 'NOT_FOUND' });
+    }
+
+    res.json({ series: presentSeries(series) });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    sendError(res, error, 'Failed to fetch series');
+  }
+});
+
+// PUT change the rule of a series; occurrences that already exist keep their dates
+app.put('/api/series/:id', validate(schemas.updateSeries), async (req, res) => {
+  try {
+    console.log(`🔍 Processing PUT /api/series/${req.params.id}`);
+    const id = req.params.id;
+    const { rule } = req.body;
+
+    // The owner of the latest occurrence owns the series
+    const series = await findSeries(req.user, id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found', code: 'NOT_FOUND' });
+    }
+    const latest = series.todos[series.todos.length - 1];
+    if (!canEditTodo(req.user, latest)) {
+      return res.status(403).json({ error: 'Only the owner can change this series', code: 'FORBIDDEN' });
+    }
+    if (series.stoppedAt) {
+      return res.status(409).json({ error: 'Series is stopped', code: 'CONFLICT' });
+    }
+
+    if (rule !== series.rule) {
+      await prisma.$transaction(async (tx) => {
+        await tx.todoSeries.update({
+          where: { id },
+          data: { rule }
+        });
+        await recordHistory(tx, req.audit, {
+          todoId: latest.id,
+          action: 'RECURRENCE_UPDATED',
+          description: `Todo now repeats ${rule}`,
+          changes: [{ field: 'recurrence', from: series.rule, to: rule }]
+        });
+      });
+      console.log(`✅ Changed the rule of series ${id} to ${rule}`);
+    }
+
+    res.json({ series: presentSeries(await findSeries(req.user, id)) });
+  } catch (error) {
+    console.error('Error updating series:', error);
+    sendError(res, error, 'Failed to update series');
+  }
+});
+
+// POST stop a series; its todos are kept but completing them no longer creates new ones
+app.post('/api/series/:id/stop', validate(schemas.stopSeries), async (req, res) => {
+  try {
+    console.log(`🔍 Processing POST /api/series/${req.params.id}/stop`);
+    const id = req.params.id;
+
+    const series = await findSeries(req.user, id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found', code: 'NOT_FOUND' });
+    }
+    const latest = series.todos[series.todos.length - 1];
+    if (!canEditTodo(req.user, latest)) {
+      return res.status(403).json({ error: 'Only the owner can stop this series', code: 'FORBIDDEN' });
+    }
+    if (series.stoppedAt) {
+      return res.status(409).json({ error: 'Series is already stopped', code: 'CONFLICT' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.todoSeries.update({
+        where: { id },
+        data: { stoppedAt: new Date() }
+      });
+      await recordHistory(tx, req.audit, {
+        todoId: latest.id,
+        action: 'RECURRENCE_STOPPED',
+        description: 'Todo no longer repeats',
+        changes: [{ field: 'recurrence', from: series.rule, to: null }]
+      });
+    });
+    console.log(`✅ Stopped series ${id}`);
+
+    res.json({ series: presentSeries(await findSeries(req.user, id)) });
+  } catch (error) {
+    console.error('Error stopping series:', error);
+    sendError(res, error, 'Failed to stop series');
+  }
+});
+
+// GET todos in the trash
+app.get('/api/trash', validate(schemas.listTrash), async (req, res) => {
+  try {
+    console.log('🔍 Processing GET /api/trash');
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    // Everyone sees their own trash; admins see all of it
+    const where = { deletedAt: { not: null }, ...editableTodoWhere(req.user) };
+    const todos = await prisma.todo.findMany({
+      where,
+      orderBy: { deletedAt: 'desc' },
+      skip,
+      take,
+      include: {
+        category: true,
+        user: true
+      }
+    });
+    const total = await prisma.todo.count({ where });
+    console.log(`🗑️ Retrieved ${todos.length} of ${total} trashed todos`);
+
+    res.json({
+      data: todos.map(todo => ({
+        ...todo,
+        purgeAfter: new Date(todo.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      })),
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / take),
+        currentPage: parseInt(page),
+        limit: take
+      },
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    sendError(res, error, 'Failed to fetch trash');
+  }
+});
+
+// RESTORE a todo from the trash
+app.post('/api/todos/:id/restore', validate(schemas.restoreTodo), async (req, res) => {
+  try {
+    console.log(`🔍 Processing POST /api/todos/${req.params.id}/restore`);
+    const id = parseInt(req.params.id);
+
+    const trashedTodo = await prisma.todo.findFirst({
+      where: {
+        id,
+        deletedAt: { not: null },
+        ...editableTodoWhere(req.user)
+      }
+    });
+    if (!trashedTodo) {
+      return res.status(404).json({ error: 'Todo not found in trash', code: 'NOT_FOUND' });
+    }
+
+    const todo = await prisma.$transaction(async (tx) => {
+      const restored = await tx.todo.update({
+        where: { id },
+        data: { deletedAt: null }
+      });
+
+      await recordHistory(tx, req.audit, {
+        todoId: id,
+        action: 'RESTORED',
+        description: 'Todo was restored from the trash',
+        changes: [{ field: 'deletedAt', from: trashedTodo.deletedAt, to: null }]
+      });
+
+      return restored;
+    });
+    console.log(`✅ Restored todo ID ${id} from the trash`);
+
+    res.json({ todo });
+  } catch (error) {
+    console.error('Error restoring todo:', error);
+    sendError(res, error, 'Failed to restore todo');
+  }
+});
+
+// PURGE todos that have been in the trash longer than the retention period
+app.post('/api/trash/purge', validate(schemas.purgeTrash), async (req, res) => {
+  try {
+    console.log('🔍 Processing POST /api/trash/purge');
+    const { strategy = 'detach' } = req.query;
+    const olderThanDays = req.query.olderThanDays !== undefined
+      ? parseInt(req.query.olderThanDays)
+      : TRASH_RETENTION_DAYS;
+
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+    const expiredTodos = await prisma.todo.findMany({
+      where: {
+        deletedAt: { lte: cutoff },
+        ...editableTodoWhere(req.user)
+      },
+      include: {
+        attachments: true,
+        dependencies: true,
+        dependencyOf: {
+          select: {
+            id: true,
+            title: true
+          }
+        }
+      }
+    });
+    console.log(`🗑️ Found ${expiredTodos.length} todos trashed before ${cutoff.toISOString()}`);
+
+    const purged = [];
+    const skipped = [];
+    for (const todo of expiredTodos) {
+      if (strategy === 'block' && todo.dependencyOf.length > 0) {
+        skipped.push({ id: todo.id, title: todo.title, dependentTodos: todo.dependencyOf });
+        continue;
+      }
+
+      const modifiedTodos = await purgeTodo(req.audit, todo, todo.dependencyOf, strategy);
+      purged.push({ id: todo.id, title: todo.title, modifiedTodos });
+    }
+    console.log(`🎉 Purged ${purged.length} todos, skipped ${skipped.length}`);
+
+    res.json({
+      cutoff,
+      strategy,
+      purged,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    sendError(res, error, 'Failed to purge trash');
+  }
+});
+
+// GET the authenticated user
+app.get('/api/auth/me', validate(schemas.noInput), async (req, res) => {
+  res.json({ user: req.user, authMethod: req.authMethod });
+});
+
+// POST exchange an API key for a short-lived bearer token
+app.post('/api/auth/token', validate(schemas.noInput), async (req, res) => {
+  try {
+    console.log('🔍 Processing POST /api/auth/token');
+
+    if (!tokenSecret()) {
+      return res.status(503).json({ error: 'Bearer tokens are not configured', code: 'NOT_CONFIGURED' });
+    }
+
+    // Tokens can't be used to mint new tokens, so a leaked one still expires
+    if (req.authMethod !== 'apiKey') {
+      return res.status(403).json({ error: 'Bearer tokens can only be issued for an API key', code: 'FORBIDDEN' });
+    }
+
+    const { token, expiresAt } = signToken(req.user);
+    console.log(`✅ Issued bearer token for user ID ${req.user.id}`);
+
+    res.status(201).json({ token, tokenType: 'Bearer', expiresAt });
+  } catch (error) {
+    console.error('Error issuing token:', error);
+    sendError(res, error, 'Failed to issue token');
+  }
+});
+
+// GET the caller's API keys (never the keys themselves)
+app.get('/api/auth/keys', validate(schemas.noInput), async (req, res) => {
+  try {
+    console.log('🔍 Processing GET /api/auth/keys');
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      select: {
+        id: true,
+        name: true,
+        keyPrefix: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        revokedAt: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+    console.log(`📋 Retrieved ${apiKeys.length} API keys for user ID ${req.user.id}`);
+
+    res.json({ data: apiKeys });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    sendError(res, error, 'Failed to fetch API keys');
+  }
+});
+
+// POST create an API key for the caller; the plain key is only returned here
+app.post('/api/auth/keys', validate(schemas.createApiKey), async (req, res) => {
+  try {
+    console.log('🔍 Processing POST /api/auth/keys');
+    const { name, expiresInDays } = req.body;
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        keyPrefix,
+        keyHash,
+        userId: req.user.id,
+        expiresAt: expiresInDays !== undefined
+          ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+          : null
+      },
+      select: {
+        id: true,
+        name: true,
+        keyPrefix: true,
+        expiresAt: true,
+        createdAt: true
+      }
+    });
+    console.log(`✅ Created API key ${apiKey.id} for user ID ${req.user.id}`);
+
+    res.status(201).json({ apiKey, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    sendError(res, error, 'Failed to create API key');
+  }
+});
+
+// DELETE revoke one of the caller's API keys
+app.delete('/api/auth/keys/:id', validate(schemas.revokeApiKey), async (req, res) => {
+  try {
+    console.log(`🔍 Processing DELETE /api/auth/keys/${req.params.id}`);
+    const id = parseInt(req.params.id);
+
+    const apiKey = await prisma.apiKey.findFirst({
+      where: { id, userId: req.user.id, revokedAt: null }
+    });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found', code: 'NOT_FOUND' });
+    }
+
+    await prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: new Date() }
+    });
+    console.log(`✅ Revoked API key ${id}`);
+
+    res.json({ id, revoked: true });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+// GET the caller's workspace
+app.get('/api/workspace', validate(schemas.noInput), async (req, res) => {
+  try {
+    console.log('🔍 Processing GET /api/workspace');
+
+    const workspace = await prisma.workspace.findUnique({
+      where: { id: req.user.workspaceId },
+      include: {
+        _count: {
+          select: {
+            users: true,
+            categories: true,
+            tags: true
+          }
+        }
+      }
+    });
+
+    const { _count, ...rest } = workspace;
+    res.json({
+      workspace: {
+        ...rest,
+        userCount: _count.users,
+        categoryCount: _count.categories,
+        tagCount: _count.tags
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    sendError(res, error, 'Failed to fetch workspace');
+  }
+});
+
+// GET all users with todo counts
+app.get('/api/users', validate(schemas.listUsers), async (req, res) => {
+  try {
+    console.log('🔍 Processing GET /api/users');
+    const { page = 1, limit = 10, search } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    let where = { ...inWorkspace(req.user) };
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const users = await prisma.user.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take,
+      include: {
+        _count: {
+          select: {
+            todos: { where: visibleTodos(req.user) }
+          }
+        }
+      }
+    });
+    const total = await prisma.user.count({ where });
+    console.log(`📋 Retrieved ${users.length} of ${total} users`);
+
+    res.json({
+      data: users.map(({ _count, ...user }) => ({
+        ...user,
+        todoCount: _count.todos
+      })),
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / take),
+        currentPage: parseInt(page),
+        limit: take
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    sendError(res, error, 'Failed to fetch users');
+  }
+});
+
+// GET user by id with todo statistics
+app.get('/api/users/:id', validate(schemas.getUser), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/users/${req.params.id}`);
+    const id = parseInt(req.params.id);
+
+    const user = await prisma.user.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found', code: 'NOT_FOUND' });
+    }
+
+    const totalTodos = await prisma.todo.count({ where: { userId: id, ...visibleTodos(req.user) } });
+    const completedTodos = await prisma.todo.count({ where: { userId: id, ...visibleTodos(req.user), completed: true } });
+    console.log(`📊 User has ${completedTodos}/${totalTodos} completed todos`);
+
+    res.json({
+      user,
+      stats: {
+        totalTodos,
+        completedTodos,
+        openTodos: totalTodos - completedTodos
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    sendError(res, error, 'Failed to fetch user');
+  }
+});
+
+// GET todos owned by a user
+app.get('/api/users/:id/todos', validate(schemas.userTodos), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/users/${req.params.id}/todos`);
+    const id = parseInt(req.params.id);
+    const { page = 1, limit = 10, completed } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const user = await prisma.user.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found', code: 'NOT_FOUND' });
+    }
+
+    let where = { userId: id, ...visibleTodos(req.user) };
+    if (completed !== undefined) {
+      where.completed = completed === 'true';
+    }
+
+    const todos = await prisma.todo.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take,
+      include: {
+        category: true,
+        tags: {
+          include: {
+            tag: true
+          }
+        }
+      }
+    });
+    const total = await prisma.todo.count({ where });
+    console.log(`📋 Retrieved ${todos.length} of ${total} todos for user ${id}`);
+
+    res.json({
+      data: todos.map(todo => ({
+        ...todo,
+        tags: todo.tags.map(t => t.tag)
+      })),
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / take),
+        currentPage: parseInt(page),
+        limit: take
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user todos:', error);
+    sendError(res, error, 'Failed to fetch user todos');
+  }
+});
+
+// CREATE user
+app.post('/api/users', validate(schemas.createUser), async (req, res) => {
+  try {
+    console.log('🔍 Processing POST /api/users');
+    const { name, email, role } = req.body;
+
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can create users', code: 'FORBIDDEN' });
+    }
+
+    const user = await prisma.user.create({
+      data: { name, email, role, workspaceId: req.user.workspaceId }
+    });
+    console.log(`✅ Created user with ID ${user.id}`);
+
+    res.status(201).json({ user });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    sendError(res, error, 'Failed to create user', { P2002: 'Email is already in use' });
+  }
+});
+
+// UPDATE user
+app.put('/api/users/:id', validate(schemas.updateUser), async (req, res) => {
+  try {
+    console.log(`🔍 Processing PUT /api/users/${req.params.id}`);
+    const id = parseInt(req.params.id);
+    const { name, email, role } = req.body;
+
+    // Users can edit themselves; only admins edit others or change roles
+    if (!isAdmin(req.user) && (id !== req.user.id || role !== undefined)) {
+      return res.status(403).json({ error: 'Only admins can change other users or roles', code: 'FORBIDDEN' });
+    }
+
+    const existingUser = await prisma.user.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found', code: 'NOT_FOUND' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: {
+        name: name !== undefined ? name : undefined,
+        email: email !== undefined ? email : undefined,
+        role: role !== undefined ? role : undefined
+      }
+    });
+    console.log(`✅ Updated user with ID ${id}`);
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    sendError(res, error, 'Failed to update user', { P2002: 'Email is already in use' });
+  }
+});
+
+// DELETE user with a policy for the todos they own:
+//   block    - refuse to delete while the user still owns todos (default)
+//   orphan   - keep the todos but clear their owner
+//   reassign - move the todos to the user given in ?reassignTo=
+app.delete('/api/users/:id', validate(schemas.deleteUser), async (req, res) => {
+  try {
+    console.log(`🔍 Processing DELETE /api/users/${req.params.id}`);
+    const id = parseInt(req.params.id);
+    const { todoPolicy = 'block', reassignTo } = req.query;
+
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can delete users', code: 'FORBIDDEN' });
+    }
+
+    const existingUser = await prisma.user.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found', code: 'NOT_FOUND' });
+    }
+
+    let targetUser = null;
+    if (todoPolicy === 'reassign') {
+      if (!reassignTo) {
+        return res.status(400).json({ error: 'reassignTo is required when todoPolicy is reassign', code: 'BAD_REQUEST' });
+      }
+      if (parseInt(reassignTo) === id) {
+        return res.status(400).json({ error: 'Cannot reassign todos to the user being deleted', code: 'BAD_REQUEST' });
+      }
+      targetUser = await prisma.user.findFirst({ where: { id: parseInt(reassignTo), ...inWorkspace(req.user) } });
+      if (!targetUser) {
+        return res.status(400).json({ error: 'Reassignment user not found', code: 'INVALID_REFERENCE' });
+      }
+    }
+
+    // Read and hand over the owned todos in the transaction that deletes the
+    // user. Locking the user row first holds back todos being created for or
+    // reassigned to them until the delete commits.
+    const { ownedTodos, blocked } = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "users" WHERE "id" = ${id} FOR UPDATE`;
+      const ownedTodos = await tx.todo.findMany({
+        where: { userId: id },
+        select: { id: true, title: true }
+      });
+      console.log(`📊 User owns ${ownedTodos.length} todos`);
+
+      if (todoPolicy === 'block' && ownedTodos.length > 0) {
+        return { ownedTodos, blocked: true };
+      }
+
+      if (ownedTodos.length > 0) {
+        await tx.todo.updateMany({
+          where: { id: { in: ownedTodos.map(todo => todo.id) } },
+          data: { userId: targetUser ? targetUser.id : null }
+        });
+
+        await recordHistoryEntries(tx, req.audit, ownedTodos.map(todo => ({
+          todoId: todo.id,
+          action: 'UPDATED',
+          description: targetUser
+            ? `Owner ${existingUser.name} was deleted; reassigned to ${targetUser.name}`
+            : `Owner ${existingUser.name} was deleted; todo is now unassigned`,
+          changes: [{ field: 'user', from: id, to: targetUser ? targetUser.id : null }]
+        })));
+        console.log(`✅ Applied ${todoPolicy} policy to ${ownedTodos.length} todos`);
+      }
+
+      await tx.user.delete({ where: { id } });
+      console.log(`✅ Deleted user ID ${id}`);
+      return { ownedTodos, blocked: false };
+    });
+
+    if (blocked) {
+      return res.status(409).json({
+        error: 'User still owns todos',
+        code: 'BLOCKED',
+        todoCount: ownedTodos.length
+      });
+    }
+
+    res.json({
+      id,
+      deleted: true,
+      todoPolicy,
+      reassignedTo: targetUser ? targetUser.id : null,
+      affectedTodos: ownedTodos
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    sendError(res, error, 'Failed to delete user');
+  }
+});
+
+// GET all categories with todo counts
+app.get('/api/categories', validate(schemas.noInput), async (req, res) => {
+  try {
+    console.log('🔍 Processing GET /api/categories');
+
+    const categories = await prisma.category.findMany({
+      where: inWorkspace(req.user),
+      orderBy: { name: 'asc' },
+      include: {
+        _count: {
+          select: {
+            todos: { where: visibleTodos(req.user) }
+          }
+        }
+      }
+    });
+    console.log(`📋 Retrieved ${categories.length} categories`);
+
+    res.json({
+      data: categories.map(({ _count, ...category }) => ({
+        ...category,
+        todoCount: _count.todos
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    sendError(res, error, 'Failed to fetch categories');
+  }
+});
+
+// GET category by id
+app.get('/api/categories/:id', validate(schemas.getCategory), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/categories/${req.params.id}`);
+    const id = parseInt(req.params.id);
+
+    const category = await prisma.category.findFirst({
+      where: { id, ...inWorkspace(req.user) },
+      include: {
+        _count: {
+          select: {
+            todos: { where: visibleTodos(req.user) }
+          }
+        }
+      }
+    });
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found', code: 'NOT_FOUND' });
+    }
+
+    const { _count, ...rest } = category;
+    res.json({
+      category: {
+        ...rest,
+        todoCount: _count.todos
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    sendError(res, error, 'Failed to fetch category');
+  }
+});
+
+// GET category summary with completion and priority statistics
+app.get('/api/categories/:id/summary', validate(schemas.getCategory), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/categories/${req.params.id}/summary`);
+    const id = parseInt(req.params.id);
+
+    // 1. Check if category exists
+    const category = await prisma.category.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found', code: 'NOT_FOUND' });
+    }
+
+    // 2. Completion statistics
+    const completion = await getCompletionStats({ categoryId: id, ...visibleTodos(req.user) });
+    console.log(`📊 Category completion stats: ${completion.completionRate}% complete`);
+
+    // 3. Open todos by priority
+    const visible = visibleTodos(req.user);
+    const openByPriority = await prisma.todo.groupBy({
+      by: ['priority'],
+      where: {
+        ...visible,
+        categoryId: id,
+        completed: false
+      },
+      _count: {
+        _all: true
+      }
+    });
+
+    // 4. Most recently updated todos in the category
+    const recentlyUpdated = await prisma.todo.findMany({
+      where: { categoryId: id, ...visible },
+      select: {
+        id: true,
+        title: true,
+        completed: true,
+        updatedAt: true
+      },
+      orderBy: {
+        updatedAt: 'desc'
+      },
+      take: 5
+    });
+
+    res.json({
+      category,
+      stats: {
+        ...completion,
+        open: completion.total - completion.completed,
+        openByPriority: openByPriority.map(item => ({
+          priority: item.priority,
+          count: item._count._all
+        }))
+      },
+      recentlyUpdated
+    });
+  } catch (error) {
+    console.error('Error fetching category summary:', error);
+    sendError(res, error, 'Failed to fetch category summary');
+  }
+});
+
+// CREATE category
+app.post('/api/categories', validate(schemas.createCategory), async (req, res) => {
+  try {
+    console.log('🔍 Processing POST /api/categories');
+    const { name, description } = req.body;
+
+    // Categories are shared by every user of the workspace
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can create categories', code: 'FORBIDDEN' });
+    }
+
+    const category = await prisma.category.create({
+      data: {
+        name,
+        description: description || null,
+        workspaceId: req.user.workspaceId
+      }
+    });
+    console.log(`✅ Created category with ID ${category.id}`);
+
+    res.status(201).json({ category });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    sendError(res, error, 'Failed to create category');
+  }
+});
+
+// UPDATE (rename) category
+app.put('/api/categories/:id', validate(schemas.updateCategory), async (req, res) => {
+  try {
+    console.log(`🔍 Processing PUT /api/categories/${req.params.id}`);
+    const id = parseInt(req.params.id);
+    const { name, description } = req.body;
+
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can rename categories', code: 'FORBIDDEN' });
+    }
+
+    const existingCategory = await prisma.category.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!existingCategory) {
+      return res.status(404).json({ error: 'Category not found', code: 'NOT_FOUND' });
+    }
+
+    const category = await prisma.category.update({
+      where: { id },
+      data: {
+        name: name !== undefined ? name : undefined,
+        description: description !== undefined ? description : undefined
+      }
+    });
+    console.log(`✅ Updated category with ID ${id}`);
+
+    res.json({ category });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    sendError(res, error, 'Failed to update category');
+  }
+});
+
+// DELETE category with a policy for the todos filed under it:
+//   clear    - keep the todos without a category (default)
+//   reassign - move the todos to the category given in ?reassignTo=
+app.delete('/api/categories/:id', validate(schemas.deleteCategory), async (req, res) => {
+  try {
+    console.log(`🔍 Processing DELETE /api/categories/${req.params.id}`);
+    const id = parseInt(req.params.id);
+    const { todoPolicy = 'clear', reassignTo } = req.query;
+
+    // Deleting a category rewrites todos of every user
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can delete categories', code: 'FORBIDDEN' });
+    }
+
+    const existingCategory = await prisma.category.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!existingCategory) {
+      return res.status(404).json({ error: 'Category not found', code: 'NOT_FOUND' });
+    }
+
+    let targetCategory = null;
+    if (todoPolicy === 'reassign') {
+      if (!reassignTo) {
+        return res.status(400).json({ error: 'reassignTo is required when todoPolicy is reassign', code: 'BAD_REQUEST' });
+      }
+      if (parseInt(reassignTo) === id) {
+        return res.status(400).json({ error: 'Cannot reassign todos to the category being deleted', code: 'BAD_REQUEST' });
+      }
+      targetCategory = await prisma.category.findFirst({ where: { id: parseInt(reassignTo), ...inWorkspace(req.user) } });
+      if (!targetCategory) {
+        return res.status(400).json({ error: 'Reassignment category not found', code: 'INVALID_REFERENCE' });
+      }
+    }
+
+    const affectedTodos = await prisma.todo.findMany({
+      where: { categoryId: id },
+      select: { id: true, title: true }
+    });
+    console.log(`📊 Category has ${affectedTodos.length} todos`);
+
+    await prisma.$transaction(async (tx) => {
+      if (affectedTodos.length > 0) {
+        await tx.todo.updateMany({
+          where: { categoryId: id },
+          data: { categoryId: targetCategory ? targetCategory.id : null }
+        });
+
+        for (const todo of affectedTodos) {
+          await recordHistory(tx, req.audit, {
+            todoId: todo.id,
+            action: 'UPDATED',
+            description: targetCategory
+              ? `Category ${existingCategory.name} was deleted; moved to ${targetCategory.name}`
+              : `Category ${existingCategory.name} was deleted; category cleared`,
+            changes: [{ field: 'category', from: id, to: targetCategory ? targetCategory.id : null }]
+          });
+        }
+        console.log(`✅ Applied ${todoPolicy} policy to ${affectedTodos.length} todos`);
+      }
+
+      await tx.category.delete({ where: { id } });
+      console.log(`✅ Deleted category ID ${id}`);
+    });
+
+    res.json({
+      id,
+      deleted: true,
+      todoPolicy,
+      reassignedTo: targetCategory ? targetCategory.id : null,
+      affectedTodos
     });
   } catch (error) {
-    console.error('Error deleting todo:', error);
-    res.status(500).json({ error: 'Failed to delete todo' });
+    console.error('Error deleting category:', error);
+    sendError(res, error, 'Failed to delete category');
   }
 });
 
-// TOGGLE todo completion with complex operations
-app.patch('/api/todos/:id/toggle', async (req, res) => {
+// GET all tags with usage counts
+app.get('/api/tags', validate(schemas.listTags), async (req, res) => {
   try {
-    console.log(`🔍 Processing PATCH /api/todos/${req.params.id}/toggle with complex operations`);
-    const id = parseInt(req.params.id);
-    
-    // 1. Check if todo exists
-    const existingTodo = await prisma.todo.findUnique({
-      where: { id },
+    console.log('🔍 Processing GET /api/tags');
+    const { search } = req.query;
+
+    const tags = await prisma.tag.findMany({
+      where: {
+        ...inWorkspace(req.user),
+        ...(search ? { name: { contains: search, mode: 'insensitive' } } : {})
+      },
+      orderBy: { name: 'asc' },
       include: {
-        dependencies: {
+        _count: {
           select: {
-            id: true,
-            title: true,
-            completed: true
+            todos: { where: { todo: visibleTodos(req.user) } }
           }
-        },
-        dependencyOf: {
+        }
+      }
+    });
+    console.log(`🏷️ Retrieved ${tags.length} tags`);
+
+    res.json({
+      data: tags.map(({ _count, ...tag }) => ({
+        ...tag,
+        todoCount: _count.todos
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    sendError(res, error, 'Failed to fetch tags');
+  }
+});
+
+// GET tag by id
+app.get('/api/tags/:id', validate(schemas.getTag), async (req, res) => {
+  try {
+    console.log(`🔍 Processing GET /api/tags/${req.params.id}`);
+    const id = parseInt(req.params.id);
+
+    const tag = await prisma.tag.findFirst({
+      where: { id, ...inWorkspace(req.user) },
+      include: {
+        _count: {
           select: {
-            id: true,
-            title: true,
-            completed: true
+            todos: { where: { todo: visibleTodos(req.user) } }
           }
         }
       }
     });
-    
-    if (!existingTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found', code: 'NOT_FOUND' });
     }
-    console.log(`✅ Found todo to toggle with ID ${id}`);
-    
-    // 2. Check dependencies if completing
-    const uncompletedDependencies = !existingTodo.completed ? existingTodo.dependencies.filter(d => !d.completed) : [];
-    if (!existingTodo.completed && uncompletedDependencies.length > 0) {
-      console.log(`⚠️ Found ${uncompletedDependencies.length} uncompleted dependencies`);
+
+    const { _count, ...rest } = tag;
+    res.json({
+      tag: {
+        ...rest,
+        todoCount: _count.todos
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tag:', error);
+    sendError(res, error, 'Failed to fetch tag');
+  }
+});
+
+// CREATE tag
+app.post('/api/tags', validate(schemas.createTag), async (req, res) => {
+  try {
+    console.log('🔍 Processing POST /api/tags');
+    const { name } = req.body;
+
+    // Tags are shared by every user of the workspace
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can create tags', code: 'FORBIDDEN' });
     }
-    
-    // 3. Get user's completion statistics
-    let userCompletionStats = null;
-    if (existingTodo.userId) {
-      const userTodos = await prisma.todo.count({
-        where: {
-          userId: existingTodo.userId
-        }
-      });
-      
-      const userCompletedTodos = await prisma.todo.count({
-        where: {
-          userId: existingTodo.userId,
-          completed: true
-        }
-      });
-      
-      userCompletionStats = {
-        total: userTodos,
-        completed: userCompletedTodos,
-        completionRate: ((userCompletedTodos / userTodos) * 100).toFixed(2)
-      };
-      console.log(`📊 User completion stats: ${userCompletionStats.completionRate}% complete`);
+
+    const tag = await prisma.tag.create({
+      data: { name: name.trim(), workspaceId: req.user.workspaceId }
+    });
+    console.log(`✅ Created tag with ID ${tag.id}`);
+
+    res.status(201).json({ tag });
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    sendError(res, error, 'Failed to create tag', { P2002: 'A tag with this name already exists' });
+  }
+});
+
+// UPDATE (rename) tag
+app.put('/api/tags/:id', validate(schemas.updateTag), async (req, res) => {
+  try {
+    console.log(`🔍 Processing PUT /api/tags/${req.params.id}`);
+    const id = parseInt(req.params.id);
+    const { name } = req.body;
+
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can rename tags', code: 'FORBIDDEN' });
     }
-    
-    // 4. Get category completion statistics
-    let categoryCompletionStats = null;
-    if (existingTodo.categoryId) {
-      const categoryTodos = await prisma.todo.count({
-        where: {
-          categoryId: existingTodo.categoryId
-        }
-      });
-      
-      const categoryCompletedTodos = await prisma.todo.count({
-        where: {
-          categoryId: existingTodo.categoryId,
-          completed: true
-        }
-      });
-      
-      categoryCompletionStats = {
-        total: categoryTodos,
-        completed: categoryCompletedTodos,
-        completionRate: ((categoryCompletedTodos / categoryTodos) * 100).toFixed(2)
-      };
-      console.log(`📊 Category completion stats: ${categoryCompletionStats.completionRate}% complete`);
+
+    const existingTag = await prisma.tag.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!existingTag) {
+      return res.status(404).json({ error: 'Tag not found', code: 'NOT_FOUND' });
     }
-    
-    // 5. Calculate time metrics
-    const now = new Date();
-    const createdAt = existingTodo.createdAt;
-    const ageInDays = Math.floor((now.getTime() - createdAt.getTime()) / (1000 * 60 * 60 * 24));
-    
-    console.log(`📊 Todo age: ${ageInDays} days`);
-    
-    // 6. Get overall system completion statistics
-    const totalTodos = await prisma.todo.count();
-    const totalCompletedTodos = await prisma.todo.count({
-      where: {
-        completed: true
-      }
-    });
-    
-    const systemCompletionRate = ((totalCompletedTodos / totalTodos) * 100).toFixed(2);
-    console.log(`📊 System completion rate: ${systemCompletionRate}% complete`);
-    
-    // 7. Check how many todos depend on this one
-    const dependentTodosCount = await prisma.todo.count({
-      where: {
-        dependencies: {
-          some: {
-            id
-          }
-        }
-      }
+
+    const tag = await prisma.tag.update({
+      where: { id },
+      data: { name: name.trim() }
     });
-    
-    console.log(`📊 ${dependentTodosCount} todos depend on this one`);
-    
-    // 8. Check if any dependent todos are blocked by this one
-    const blockedTodos = await prisma.todo.findMany({
-      where: {
-        dependencies: {
-          some: {
-            id
-          }
-        },
-        // Only todos that have all other dependencies completed would be unblocked
-        NOT: {
-          dependencies: {
-            some: {
-              id: { not: id },
-              completed: false
-            }
-          }
-        }
-      },
-      select: {
-        id: true,
-        title: true
-      }
+    console.log(`✅ Renamed tag ${id} from ${existingTag.name} to ${tag.name}`);
+
+    res.json({ tag });
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    sendError(res, error, 'Failed to update tag', { P2002: 'A tag with this name already exists; merge the tags instead' });
+  }
+});
+
+// DELETE tag (its todo assignments cascade away)
+app.delete('/api/tags/:id', validate(schemas.deleteTag), async (req, res) => {
+  try {
+    console.log(`🔍 Processing DELETE /api/tags/${req.params.id}`);
+    const id = parseInt(req.params.id);
+
+    // Tags are shared, so removing one touches todos of every user
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can delete tags', code: 'FORBIDDEN' });
+    }
+
+    const existingTag = await prisma.tag.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!existingTag) {
+      return res.status(404).json({ error: 'Tag not found', code: 'NOT_FOUND' });
+    }
+
+    const removedAssignments = await prisma.$transaction(async (tx) => {
+      const taggedTodos = await tx.todo.findMany({
+        where: { tags: { some: { tagId: id } } },
+        select: { id: true, tags: { select: { tagId: true } } }
+      });
+
+      await recordHistoryEntries(tx, req.audit, taggedTodos.map(todo => {
+        const tagIds = sortIds(todo.tags.map(t => t.tagId));
+        return {
+          todoId: todo.id,
+          action: 'UPDATED',
+          description: `Tag ${existingTag.name} was deleted`,
+          changes: [{ field: 'tags', from: tagIds, to: tagIds.filter(tagId => tagId !== id) }]
+        };
+      }));
+
+      await tx.tag.delete({ where: { id } });
+      return taggedTodos.length;
     });
-    
-    console.log(`📊 ${blockedTodos.length} todos will be unblocked if this is completed`);
-    
-    // 9. Get similar todos with same priority and completion status
-    const similarTodos = await prisma.todo.count({
-      where: {
-        id: { not: id },
-        priority: existingTodo.priority,
-        completed: existingTodo.completed
-      }
+    console.log(`✅ Deleted tag ID ${id} and ${removedAssignments} assignments`);
+
+    res.json({
+      id,
+      deleted: true,
+      removedAssignments
     });
-    
-    console.log(`📊 Found ${similarTodos} todos with same priority and completion status`);
-    
-    // 10. Perform the toggle in a transaction
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    sendError(res, error, 'Failed to delete tag');
+  }
+});
+
+// MERGE tag into another tag: every todo tagged with :id ends up tagged
+// with targetId, and the source tag is removed
+app.post('/api/tags/:id/merge', validate(schemas.mergeTag), async (req, res) => {
+  try {
+    console.log(`🔍 Processing POST /api/tags/${req.params.id}/merge`);
+    const id = parseInt(req.params.id);
+    const { targetId } = req.body;
+
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only admins can merge tags', code: 'FORBIDDEN' });
+    }
+
+    if (parseInt(targetId) === id) {
+      return res.status(400).json({ error: 'Cannot merge a tag into itself', code: 'BAD_REQUEST' });
+    }
+
+    const sourceTag = await prisma.tag.findFirst({ where: { id, ...inWorkspace(req.user) } });
+    if (!sourceTag) {
+      return res.status(404).json({ error: 'Tag not found', code: 'NOT_FOUND' });
+    }
+
+    const targetTag = await prisma.tag.findFirst({ where: { id: parseInt(targetId), ...inWorkspace(req.user) } });
+    if (!targetTag) {
+      return res.status(400).json({ error: 'Target tag not found', code: 'INVALID_REFERENCE' });
+    }
+
     const result = await prisma.$transaction(async (tx) => {
-      // Toggle the completion status
-      const newCompletionStatus = !existingTodo.completed;
-      const todo = await tx.todo.update({
-        where: { id },
-        data: {
-          completed: newCompletionStatus
-        }
+      const sourceAssignments = await tx.tagsOnTodos.findMany({
+        where: { tagId: sourceTag.id }
       });
-      
-      // Add history entry
-      await tx.todoHistory.create({
-        data: {
-          todoId: id,
-          action: newCompletionStatus ? 'COMPLETED' : 'REOPENED',
-          description: newCompletionStatus 
-            ? `Todo was marked as completed` 
-            : `Todo was reopened`
-        }
+      const taggedTodos = await tx.todo.findMany({
+        where: { id: { in: sourceAssignments.map(assignment => assignment.todoId) } },
+        select: { id: true, tags: { select: { tagId: true } } }
       });
-      
-      return todo;
+
+      // Todos already carrying both tags would collide on the composite key,
+      // so skipDuplicates leaves their existing target assignment untouched
+      const { count: moved } = await tx.tagsOnTodos.createMany({
+        data: sourceAssignments.map(assignment => ({
+          todoId: assignment.todoId,
+          tagId: targetTag.id,
+          assignedAt: assignment.assignedAt
+        })),
+        skipDuplicates: true
+      });
+
+      await recordHistoryEntries(tx, req.audit, taggedTodos.map(todo => {
+        const tagIds = sortIds(todo.tags.map(t => t.tagId));
+        return {
+          todoId: todo.id,
+          action: 'UPDATED',
+          description: `Tag ${sourceTag.name} was merged into ${targetTag.name}`,
+          changes: [{
+            field: 'tags',
+            from: tagIds,
+            to: sortIds([...tagIds.filter(tagId => tagId !== sourceTag.id), targetTag.id])
+          }]
+        };
+      }));
+
+      await tx.tag.delete({ where: { id: sourceTag.id } });
+
+      return {
+        moved,
+        alreadyTagged: sourceAssignments.length - moved
+      };
     });
-    
-    // Collect updated metrics after the change
-    const newSystemCompletionRate = result.completed 
-      ? (((totalCompletedTodos + 1) / totalTodos) * 100).toFixed(2)
-      : (((totalCompletedTodos - 1) / totalTodos) * 100).toFixed(2);
-    
-    console.log(`🎉 Successfully toggled todo ID ${id} to ${result.completed ? 'completed' : 'not completed'}`);
-    
+    console.log(`✅ Merged tag ${sourceTag.name} into ${targetTag.name}: ${result.moved} moved, ${result.alreadyTagged} already tagged`);
+
     res.json({
-      todo: result,
-      dependencyStatus: {
-        uncompletedDependencies,
-        dependentTodosCount,
-        blockedTodos: result.completed ? blockedTodos : []
-      },
-      stats: {
-        user: userCompletionStats,
-        category: categoryCompletionStats,
-        system: {
-          previousCompletionRate: systemCompletionRate,
-          newCompletionRate: newSystemCompletionRate,
-          totalTodos,
-          totalCompletedTodos: result.completed ? totalCompletedTodos + 1 : totalCompletedTodos - 1
-        },
-        todo: {
-          ageInDays,
-          timeToComplete: result.completed ? ageInDays : null
-        }
-      }
+      source: sourceTag,
+      target: targetTag,
+      ...result
     });
   } catch (error) {
-    console.error('Error toggling todo:', error);
-    res.status(500).json({ error: 'Failed to toggle todo' });
+    console.error('Error merging tags:', error);
+    sendError(res, error, 'Failed to merge tags');
   }
 });
 
-// Error handling middleware
+// Error handling middleware: known Prisma and body parser errors get their
+// own status and code, anything else is a 500
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+  if (!translateError(err)) {
+    console.error(err.stack);
+  }
+  sendError(res, err, 'Something went wrong!');
 });
 
 // 404 handler
 app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
+  res.status(404).json({ error: 'Route not found', code: 'NOT_FOUND' });
 });
 
 // Create HTTP server
@@ -1350,11 +4680,69 @@ const startServer = (initialPort, maxAttempts = 10) => {
     console.log(`📚 API documentation:`);
     console.log(`  GET    /health                - Health check`);
     console.log(`  GET    /api/todos             - Get all todos`);
+    console.log(`  GET    /api/stats             - Get dashboard stats for filtered todos`);
+    console.log(`  GET    /api/search            - Full-text search across todos, notes and tags`);
     console.log(`  GET    /api/todos/:id         - Get todo by ID`);
     console.log(`  POST   /api/todos             - Create new todo`);
+    console.log(`  POST   /api/todos/bulk        - Apply one operation to many todos`);
     console.log(`  PUT    /api/todos/:id         - Update todo`);
     console.log(`  DELETE /api/todos/:id         - Delete todo`);
     console.log(`  PATCH  /api/todos/:id/toggle  - Toggle completion`);
+    console.log(`  PATCH  /api/todos/:id/parent  - Move todo and its subtasks`);
+    console.log(`  GET    /api/todos/:id/dependencies/graph - Dependency graph`);
+    console.log(`  GET    /api/todos/dependencies/order - Execution order for todos`);
+    console.log(`  GET    /api/todos/:id/history - Field-level change history`);
+    console.log(`  GET    /api/todos/:id/reminders - Reminders recorded for a todo`);
+    console.log(`  POST   /api/todos/:id/revert  - Revert todo to a history entry`);
+    console.log(`  GET    /api/todos/:id/shares  - Get users a todo is shared with`);
+    console.log(`  POST   /api/todos/:id/shares  - Share todo with a user`);
+    console.log(`  DELETE /api/todos/:id/shares/:userId - Stop sharing todo with a user`);
+    console.log(`  GET    /api/todos/:id/notes   - Get notes for todo`);
+    console.log(`  POST   /api/todos/:id/notes   - Add note to todo`);
+    console.log(`  PUT    /api/todos/:id/notes/:noteId - Edit note`);
+    console.log(`  DELETE /api/todos/:id/notes/:noteId - Delete note`);
+    console.log(`  GET    /api/todos/:id/attachments - Get attachments for todo`);
+    console.log(`  POST   /api/todos/:id/attachments - Upload attachment`);
+    console.log(`  GET    /api/todos/:id/attachments/:attachmentId/download - Download attachment`);
+    console.log(`  DELETE /api/todos/:id/attachments/:attachmentId - Delete attachment`);
+    console.log(`  POST   /api/series            - Make a todo repeat`);
+    console.log(`  GET    /api/series/:id        - Get a series with its occurrences`);
+    console.log(`  PUT    /api/series/:id        - Change the rule of a series`);
+    console.log(`  POST   /api/series/:id/stop   - Stop a series`);
+    console.log(`  POST   /api/todos/:id/restore - Restore todo from trash`);
+    console.log(`  GET    /api/trash             - Get trashed todos`);
+    console.log(`  POST   /api/trash/purge       - Purge expired trashed todos`);
+    console.log(`  GET    /api/auth/me           - Get authenticated user`);
+    console.log(`  POST   /api/auth/token        - Exchange API key for bearer token`);
+    console.log(`  GET    /api/auth/keys         - Get own API keys`);
+    console.log(`  POST   /api/auth/keys         - Create API key`);
+    console.log(`  DELETE /api/auth/keys/:id     - Revoke API key`);
+    console.log(`  GET    /api/workspace         - Get own workspace`);
+    console.log(`  GET    /api/users             - Get all users`);
+    console.log(`  GET    /api/users/:id         - Get user by ID`);
+    console.log(`  GET    /api/users/:id/todos   - Get todos owned by user`);
+    console.log(`  POST   /api/users             - Create new user`);
+    console.log(`  PUT    /api/users/:id         - Update user`);
+    console.log(`  DELETE /api/users/:id         - Delete user`);
+    console.log(`  GET    /api/categories        - Get all categories`);
+    console.log(`  GET    /api/categories/:id    - Get category by ID`);
+    console.log(`  GET    /api/categories/:id/summary - Category completion summary`);
+    console.log(`  POST   /api/categories        - Create new category`);
+    console.log(`  PUT    /api/categories/:id    - Update category`);
+    console.log(`  DELETE /api/categories/:id    - Delete category`);
+    console.log(`  GET    /api/tags              - Get all tags`);
+    console.log(`  GET    /api/tags/:id          - Get tag by ID`);
+    console.log(`  POST   /api/tags              - Create new tag`);
+    console.log(`  PUT    /api/tags/:id          - Rename tag`);
+    console.log(`  DELETE /api/tags/:id          - Delete tag`);
+    console.log(`  POST   /api/tags/:id/merge    - Merge tag into another`);
+    console.log(`🔐 All /api routes require an X-API-Key header or a bearer token`);
+    if (!tokenSecret()) {
+      console.log(`⚠️ AUTH_TOKEN_SECRET is not set; only API keys are accepted`);
+    }
+    if (reminders.start()) {
+      console.log(`⏰ Reminders fire ${reminders.offsets.map(formatOffset).join(', ')} before due dates`);
+    }
   });
   
   tryBinding();
@@ -1367,6 +4755,7 @@ startServer(PORT);
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Received SIGINT. Graceful shutdown...');
+  reminders.stop();
   server.close();
   await prisma.$disconnect();
   process.exit(0);
@@ -1374,6 +4763,7 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM. Graceful shutdown...');
+  reminders.stop();
   server.close();
   await prisma.$disconnect();
   process.exit(0);
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { walk, findDependencyCycle, topologicalOrder, openPrerequisites } = require('../lib/dependencies');
+
+// In-memory stand-in for the Prisma client, answering the neighbour queries
+// the walkers make over edges { from: dependent, to: prerequisite }
+const graph = (edges) => ({
+  todo: {
+    findMany: async ({ where, select }) => {
+      const relation = select.dependencies ? 'dependencies' : 'dependencyOf';
+      return where.id.in.map(id => ({
+        id,
+        [relation]: edges
+          .filter(edge => relation === 'dependencies' ? edge.from === id : edge.to === id)
+          .map(edge => ({ id: relation === 'dependencies' ? edge.to : edge.from }))
+      }));
+    }
+  }
+});
+
+describe('findDependencyCycle', () => {
+  // 1 depends on 2, 2 on 3
+  const client = graph([{ from: 1, to: 2 }, { from: 2, to: 3 }]);
+
+  it('finds nothing when the new edges keep the graph acyclic', async () => {
+    assert.equal(await findDependencyCycle(client, 4, [1]), null);
+    assert.equal(await findDependencyCycle(client, 1, [3]), null);
+  });
+
+  it('returns the path that would close a loop', async () => {
+    assert.deepEqual(await findDependencyCycle(client, 3, [1]), [3, 1, 2, 3]);
+    assert.deepEqual(await findDependencyCycle(client, 2, [4, 1]), [2, 1, 2]);
+  });
+
+  it('rejects a todo depending on itself', async () => {
+    assert.deepEqual(await findDependencyCycle(client, 5, [5]), [5, 5]);
+  });
+});
+
+describe('walk', () => {
+  const client = graph([{ from: 1, to: 2 }, { from: 2, to: 3 }, { from: 1, to: 3 }]);
+
+  it('records the depth each todo is first reached at', async () => {
+    const { depths, edges } = await walk(client, [1], 'upstream');
+    assert.deepEqual([...depths], [[1, 0], [2, 1], [3, 1]]);
+    assert.equal(edges.length, 3);
+  });
+
+  it('stops at maxDepth', async () => {
+    const { depths } = await walk(client, [3], 'downstream', { maxDepth: 1 });
+    assert.deepEqual([...depths], [[3, 0], [2, 1], [1, 1]]);
+  });
+});
+
+describe('topologicalOrder', () => {
+  it('puts prerequisites first, taking the lowest ready id next', () => {
+    const { order, cyclic } = topologicalOrder([1, 2, 3, 4], [{ from: 1, to: 3 }, { from: 2, to: 3 }, { from: 1, to: 2 }]);
+    assert.deepEqual(order, [
+      { id: 3, level: 0 },
+      { id: 2, level: 1 },
+      { id: 1, level: 2 },
+      { id: 4, level: 0 }
+    ]);
+    assert.deepEqual(cyclic, []);
+  });
+
+  it('sets aside todos stuck in a cycle', () => {
+    const { order, cyclic } = topologicalOrder([1, 2, 3], [{ from: 1, to: 2 }, { from: 2, to: 1 }, { from: 3, to: 1 }]);
+    assert.deepEqual(order, []);
+    assert.deepEqual(cyclic, [1, 2, 3]);
+  });
+});
+
+describe('openPrerequisites', () => {
+  const open = (id) => ({ id, completed: false, deletedAt: null });
+  const done = (id) => ({ id, completed: true, deletedAt: null });
+  const trashed = (id) => ({ id, completed: false, deletedAt: new Date() });
+
+  it('counts open dependencies added by the same update', () => {
+    assert.deepEqual(openPrerequisites([done(1)], [open(3), done(2)], []), [open(3)]);
+  });
+
+  it('leaves out removed and trashed dependencies', () => {
+    assert.deepEqual(openPrerequisites([open(1), trashed(2)], [open(4)], [1]), [open(4)]);
+  });
+
+  it('applies removals after additions', () => {
+    assert.deepEqual(openPrerequisites([], [open(5)], [5]), []);
+  });
+
+  it('lists a dependency once when it is added again', () => {
+    assert.deepEqual(openPrerequisites([open(2), open(1)], [open(2)], []), [open(1), open(2)]);
+  });
+});
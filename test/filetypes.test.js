@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectType, extensionMatches } = require('../lib/filetypes');
+
+describe('detectType', () => {
+  it('recognises binary formats by their signature', () => {
+    assert.equal(detectType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00])), 'image/png');
+    assert.equal(detectType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assert.equal(detectType(Buffer.from('GIF89a\x01\x00')), 'image/gif');
+    assert.equal(detectType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+  });
+
+  it('takes UTF-8 without NUL bytes as plain text', () => {
+    assert.equal(detectType(Buffer.from('Shopping list: käse, brød\n')), 'text/plain');
+    assert.equal(detectType(Buffer.from('<script>alert(1)</script>')), 'text/plain');
+  });
+
+  it('recognises nothing else', () => {
+    assert.equal(detectType(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00])), null);
+    assert.equal(detectType(Buffer.from([0xc3, 0x28])), null);
+    assert.equal(detectType(Buffer.from([0x89, 0x50, 0x4e])), null);
+  });
+});
+
+describe('extensionMatches', () => {
+  it('accepts the extensions of the type in any case, or none', () => {
+    assert.equal(extensionMatches('image/jpeg', '.JPEG'), true);
+    assert.equal(extensionMatches('text/plain', ''), true);
+  });
+
+  it('rejects extensions of other types', () => {
+    assert.equal(extensionMatches('text/plain', '.html'), false);
+    assert.equal(extensionMatches('image/png', '.svg'), false);
+    assert.equal(extensionMatches('application/zip', '.zip'), false);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FilterError, parseFilter, compileFilters } = require('../lib/filters');
+
+describe('parseFilter', () => {
+  it('compiles a single condition', () => {
+    assert.deepEqual(parseFilter('priority:HIGH,URGENT'), { priority: { in: ['HIGH', 'URGENT'] } });
+  });
+
+  it('binds not tighter than and, and and tighter than or', () => {
+    assert.deepEqual(parseFilter('priority:HIGH or tag:4 and not completed:true'), {
+      OR: [
+        { priority: { in: ['HIGH'] } },
+        { AND: [{ tags: { some: { tagId: { in: [4] } } } }, { NOT: { completed: true } }] }
+      ]
+    });
+  });
+
+  it('lets parentheses override precedence', () => {
+    assert.deepEqual(parseFilter('(priority:HIGH or tag:4) and completed:false'), {
+      AND: [
+        { OR: [{ priority: { in: ['HIGH'] } }, { tags: { some: { tagId: { in: [4] } } } }] },
+        { completed: false }
+      ]
+    });
+  });
+
+  it('treats keywords case-insensitively', () => {
+    assert.deepEqual(parseFilter('category:none AND NOT user:2'), {
+      AND: [{ categoryId: null }, { NOT: { userId: { in: [2] } } }]
+    });
+  });
+
+  it('compiles date comparisons', () => {
+    assert.deepEqual(parseFilter('createdAt>=2026-01-01 and dueAt<2026-02-01'), {
+      AND: [
+        { createdAt: { gte: new Date('2026-01-01') } },
+        { dueAt: { lt: new Date('2026-02-01') } }
+      ]
+    });
+  });
+
+  it('matches none alongside ids', () => {
+    assert.deepEqual(parseFilter('category:3,none'), { OR: [{ categoryId: { in: [3] } }, { categoryId: null }] });
+  });
+
+  const rejects = [
+    ['an empty expression', '   ', /filter is empty/],
+    ['an unbalanced parenthesis', '(priority:HIGH', /Expected "\)" but found the end/],
+    ['a dangling operator', 'priority:HIGH and', /Expected a condition but found the end/],
+    ['two conditions without an operator', 'priority:HIGH tag:1', /Expected and, or or the end but found tag:/],
+    ['an unknown field', 'colour:red', /Unknown filter field "colour"/],
+    ['an unknown priority', 'priority:HIGHEST', /priority expects any of LOW, MEDIUM, HIGH, URGENT/],
+    ['a non-numeric id', 'tag:abc', /tag expects ids or none/],
+    ['a comparison on a non-date field', 'priority>HIGH', /priority can't be compared with >/],
+    ['an invalid date', 'createdAt>yesterday', /createdAt expects an ISO 8601 date/],
+    ['a stray character', 'priority:HIGH & tag:1', /Unexpected "& tag:1" at position 15/],
+    ['deep nesting', `${'('.repeat(11)}completed:true${')'.repeat(11)}`, /limited to 10 levels of parentheses/]
+  ];
+  for (const [name, expression, message] of rejects) {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => parseFilter(expression), (error) => {
+        assert.ok(error instanceof FilterError);
+        assert.equal(error.field, 'filter');
+        assert.match(error.message, message);
+        return true;
+      });
+    });
+  }
+
+  it('rejects too many conditions', () => {
+    const expression = Array.from({ length: 51 }, () => 'completed:true').join(' or ');
+    assert.throws(() => parseFilter(expression), /limited to 50 conditions/);
+  });
+});
+
+describe('compileFilters', () => {
+  it('returns one clause per parameter', () => {
+    assert.deepEqual(compileFilters({ priority: 'LOW', parent: 'none', createdBefore: '2026-03-01' }), [
+      { priority: { in: ['LOW'] } },
+      { parentId: null },
+      { createdAt: { lt: new Date('2026-03-01') } }
+    ]);
+  });
+
+  it('requires every tag with tagMatch=all', () => {
+    assert.deepEqual(compileFilters({ tag: '1,2', tagMatch: 'all' }), [
+      { AND: [{ tags: { some: { tagId: 1 } } }, { tags: { some: { tagId: 2 } } }] }
+    ]);
+  });
+
+  it('names the parameter at fault', () => {
+    assert.throws(() => compileFilters({ dueAfter: 'soon' }), { name: 'FilterError', field: 'dueAfter' });
+    assert.throws(() => compileFilters({ tagMatch: 'some' }), { name: 'FilterError', field: 'tagMatch' });
+    assert.throws(() => compileFilters({ state: 'waiting' }), { name: 'FilterError', field: 'state' });
+  });
+});
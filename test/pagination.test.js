@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSort, sortOrder, decodeCursor, pageQuery, pageCursors, cursorLink } = require('../lib/pagination');
+
+const rows = (...ids) => ids.map(id => ({ id }));
+
+describe('sorting', () => {
+  it('parses directions and appends the id tiebreaker', () => {
+    const keys = parseSort('-priority,title');
+    assert.deepEqual(keys, [{ field: 'priority', direction: 'desc' }, { field: 'title', direction: 'asc' }]);
+    assert.deepEqual(sortOrder(keys), [{ priority: 'desc' }, { title: 'asc' }, { id: 'desc' }]);
+  });
+
+  it('rejects unknown and repeated fields', () => {
+    assert.equal(parseSort('colour'), null);
+    assert.equal(parseSort('title,-title'), null);
+  });
+});
+
+describe('cursors', () => {
+  it('round-trip through the page links', () => {
+    const { nextCursor, prevCursor } = pageCursors(rows(4, 5, 6, 7), 3, decodeCursor(pageCursors(rows(3, 4), 1, null).nextCursor));
+    assert.deepEqual(decodeCursor(nextCursor), { id: 6, direction: 'next' });
+    assert.deepEqual(decodeCursor(prevCursor), { id: 4, direction: 'prev' });
+  });
+
+  it('reject anything that is not one of ours', () => {
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(Buffer.from(JSON.stringify({ id: 0, direction: 'next' })).toString('base64url')), null);
+    assert.equal(decodeCursor(Buffer.from(JSON.stringify({ id: 3, direction: 'up' })).toString('base64url')), null);
+  });
+
+  it('fetch one row past the page in the direction of travel', () => {
+    assert.deepEqual(pageQuery({ id: 9, direction: 'next' }, 20), { cursor: { id: 9 }, skip: 1, take: 21 });
+    assert.deepEqual(pageQuery({ id: 9, direction: 'prev' }, 20), { cursor: { id: 9 }, skip: 1, take: -21 });
+  });
+});
+
+describe('pageCursors', () => {
+  it('has no previous page on the first page', () => {
+    const page = pageCursors(rows(1, 2, 3), 2, null);
+    assert.deepEqual(page.items, rows(1, 2));
+    assert.equal(page.prevCursor, null);
+    assert.deepEqual(decodeCursor(page.nextCursor), { id: 2, direction: 'next' });
+  });
+
+  it('has no next page on the last page', () => {
+    const page = pageCursors(rows(3, 4), 2, { id: 2, direction: 'next' });
+    assert.equal(page.nextCursor, null);
+    assert.deepEqual(decodeCursor(page.prevCursor), { id: 3, direction: 'prev' });
+  });
+
+  it('drops the extra row from the front when paging back', () => {
+    const page = pageCursors(rows(1, 2, 3), 2, { id: 4, direction: 'prev' });
+    assert.deepEqual(page.items, rows(2, 3));
+    assert.deepEqual(decodeCursor(page.prevCursor), { id: 2, direction: 'prev' });
+    assert.deepEqual(decodeCursor(page.nextCursor), { id: 3, direction: 'next' });
+  });
+
+  it('stops paging back at the first row', () => {
+    const page = pageCursors(rows(1, 2), 2, { id: 3, direction: 'prev' });
+    assert.equal(page.prevCursor, null);
+    assert.notEqual(page.nextCursor, null);
+  });
+
+  it('has no cursors for an empty page', () => {
+    assert.deepEqual(pageCursors([], 2, { id: 3, direction: 'next' }), { items: [], nextCursor: null, prevCursor: null });
+  });
+
+  it('links offset pages after the first back to a cursor', () => {
+    assert.notEqual(pageCursors(rows(11, 12), 2, null, true).prevCursor, null);
+  });
+});
+
+describe('cursorLink', () => {
+  it('replaces the page with the cursor and keeps the other parameters', () => {
+    const req = { originalUrl: '/api/todos?page=2&limit=5&sort=-priority' };
+    assert.equal(cursorLink(req, 'abc'), '/api/todos?limit=5&sort=-priority&cursor=abc');
+    assert.equal(cursorLink(req, null), null);
+  });
+});
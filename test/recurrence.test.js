@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RecurrenceError, parseRule, formatRule, nextOccurrence } = require('../lib/recurrence');
+
+// Walk a rule from its anchor, the way completing each occurrence in turn does
+const occurrences = (text, anchor, limit = 10) => {
+  const rule = parseRule(text);
+  const dates = [new Date(anchor)];
+  while (dates.length < limit) {
+    const next = nextOccurrence(rule, dates[0], dates[dates.length - 1], dates.length);
+    if (!next) {
+      break;
+    }
+    dates.push(next);
+  }
+  return dates.map(date => date.toISOString());
+};
+
+describe('parseRule', () => {
+  it('normalises a rule to its canonical text', () => {
+    assert.equal(formatRule(parseRule('RRULE:byday=th,mo;freq=weekly;interval=1')), 'FREQ=WEEKLY;BYDAY=MO,TH');
+    assert.equal(formatRule(parseRule('FREQ=MONTHLY;UNTIL=20261231')), 'FREQ=MONTHLY;UNTIL=20261231T235959Z');
+  });
+
+  const rejects = [
+    ['a missing FREQ', 'INTERVAL=2', /FREQ is required/],
+    ['an unknown FREQ', 'FREQ=YEARLY', /FREQ expects any of DAILY, WEEKLY, MONTHLY/],
+    ['a repeated part', 'FREQ=DAILY;FREQ=WEEKLY', /FREQ is given more than once/],
+    ['a zero INTERVAL', 'FREQ=DAILY;INTERVAL=0', /INTERVAL expects a positive integer/],
+    ['COUNT with UNTIL', 'FREQ=DAILY;COUNT=2;UNTIL=20261231', /COUNT and UNTIL can't be combined/],
+    ['BYDAY on a daily rule', 'FREQ=DAILY;BYDAY=MO', /BYDAY is only supported with FREQ=WEEKLY/],
+    ['an unknown weekday', 'FREQ=WEEKLY;BYDAY=MO,XX', /got "XX"/],
+    ['an impossible UNTIL date', 'FREQ=DAILY;UNTIL=20260230', /UNTIL is not a valid date/],
+    ['an unsupported part', 'FREQ=DAILY;BYHOUR=9', /Unsupported rule part "BYHOUR"/],
+    ['a part without a value', 'FREQ', /Expected NAME=VALUE/]
+  ];
+  for (const [name, text, message] of rejects) {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => parseRule(text), (error) => error instanceof RecurrenceError && message.test(error.message));
+    });
+  }
+});
+
+describe('nextOccurrence', () => {
+  it('steps daily rules by their interval and keeps the time of day', () => {
+    assert.deepEqual(occurrences('FREQ=DAILY;INTERVAL=2', '2026-10-19T09:30:00Z', 3), [
+      '2026-10-19T09:30:00.000Z',
+      '2026-10-21T09:30:00.000Z',
+      '2026-10-23T09:30:00.000Z'
+    ]);
+  });
+
+  it('walks BYDAY weekdays in order within each week', () => {
+    // 2026-10-19 is a Monday
+    assert.deepEqual(occurrences('FREQ=WEEKLY;BYDAY=MO,TH', '2026-10-19T09:00:00Z', 4), [
+      '2026-10-19T09:00:00.000Z',
+      '2026-10-22T09:00:00.000Z',
+      '2026-10-26T09:00:00.000Z',
+      '2026-10-29T09:00:00.000Z'
+    ]);
+  });
+
+  it('skips whole weeks with a weekly INTERVAL', () => {
+    assert.deepEqual(occurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=FR', '2026-10-23T08:00:00Z', 3), [
+      '2026-10-23T08:00:00.000Z',
+      '2026-11-06T08:00:00.000Z',
+      '2026-11-20T08:00:00.000Z'
+    ]);
+  });
+
+  it('skips months without the anchor day', () => {
+    assert.deepEqual(occurrences('FREQ=MONTHLY', '2026-01-31T12:00:00Z', 4), [
+      '2026-01-31T12:00:00.000Z',
+      '2026-03-31T12:00:00.000Z',
+      '2026-05-31T12:00:00.000Z',
+      '2026-07-31T12:00:00.000Z'
+    ]);
+  });
+
+  it('finds sparse monthly rules years ahead', () => {
+    assert.deepEqual(occurrences('FREQ=MONTHLY;INTERVAL=12', '2024-02-29T00:00:00Z', 2), [
+      '2024-02-29T00:00:00.000Z',
+      '2028-02-29T00:00:00.000Z'
+    ]);
+  });
+
+  it('ends after COUNT occurrences', () => {
+    assert.equal(occurrences('FREQ=DAILY;COUNT=3', '2026-10-19T09:00:00Z').length, 3);
+  });
+
+  it('counts the whole UNTIL day for date-only values', () => {
+    assert.deepEqual(occurrences('FREQ=DAILY;UNTIL=20261021', '2026-10-19T23:00:00Z'), [
+      '2026-10-19T23:00:00.000Z',
+      '2026-10-20T23:00:00.000Z',
+      '2026-10-21T23:00:00.000Z'
+    ]);
+  });
+
+  it('stops at an UNTIL date-time', () => {
+    assert.deepEqual(occurrences('FREQ=DAILY;UNTIL=20261021T080000Z', '2026-10-19T09:00:00Z'), [
+      '2026-10-19T09:00:00.000Z',
+      '2026-10-20T09:00:00.000Z'
+    ]);
+  });
+
+  it('resumes after a gap rather than replaying missed occurrences', () => {
+    const rule = parseRule('FREQ=WEEKLY');
+    const anchor = new Date('2026-01-05T09:00:00Z');
+    assert.equal(nextOccurrence(rule, anchor, new Date('2026-10-19T10:00:00Z')).toISOString(), '2026-10-26T09:00:00.000Z');
+  });
+});
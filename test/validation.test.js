@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { schemas, validate } = require('../lib/validation');
+
+// Issue paths of a failed parse, e.g. ['title', 'startAt']
+const rejected = (schema, input) => {
+  const result = schema.safeParse(input);
+  assert.equal(result.success, false, `expected ${JSON.stringify(input)} to be rejected`);
+  return result.error.issues.map(issue => issue.path.join('.'));
+};
+
+describe('schemas', () => {
+  it('coerce ids and decode recurrence rules', () => {
+    const body = schemas.createTodo.body.parse({ title: 'Water plants', categoryId: '3', recurrence: 'freq=weekly;byday=fr' });
+    assert.equal(body.categoryId, 3);
+    assert.equal(body.recurrence, 'FREQ=WEEKLY;BYDAY=FR');
+  });
+
+  it('reject blank titles and unknown fields', () => {
+    assert.deepEqual(rejected(schemas.createTodo.body, { title: '   ' }), ['title']);
+    assert.deepEqual(rejected(schemas.createTodo.body, { title: 'x', colour: 'red' }), ['']);
+  });
+
+  it('reject non-positive ids', () => {
+    assert.deepEqual(rejected(schemas.getTodo.params, { id: '0' }), ['id']);
+    assert.deepEqual(rejected(schemas.getTodo.params, { id: 'abc' }), ['id']);
+  });
+
+  it('reject a todo that starts after it is due', () => {
+    assert.deepEqual(rejected(schemas.updateTodo.body, {
+      startAt: '2026-10-20T00:00:00Z',
+      dueAt: '2026-10-19T00:00:00Z'
+    }), ['startAt']);
+  });
+
+  it('reject invalid recurrence rules', () => {
+    assert.deepEqual(rejected(schemas.createTodo.body, { title: 'x', recurrence: 'FREQ=HOURLY' }), ['recurrence']);
+  });
+
+  it('report filter errors against the parameter at fault', () => {
+    assert.deepEqual(rejected(schemas.listTodos.query, { filter: 'priority:HIGH and' }), ['filter']);
+    assert.deepEqual(rejected(schemas.listTodos.query, { due: 'tomorrow' }), ['due']);
+  });
+
+  it('reject mixing cursor and page', () => {
+    assert.deepEqual(rejected(schemas.listTodos.query, { cursor: 'bm90LWEtY3Vyc29y', page: '2' }), ['cursor']);
+  });
+
+  it('check bulk requests pass the argument their operation takes', () => {
+    assert.deepEqual(rejected(schemas.bulkTodos.body, { operation: 'setPriority', ids: [1] }), ['priority']);
+    assert.deepEqual(rejected(schemas.bulkTodos.body, { operation: 'complete', ids: [1], priority: 'LOW' }), ['priority']);
+    assert.deepEqual(rejected(schemas.bulkTodos.body, { operation: 'delete' }), ['ids']);
+    assert.equal(schemas.bulkTodos.body.safeParse({ operation: 'complete', ids: [1], force: true }).success, true);
+  });
+});
+
+describe('validate', () => {
+  const run = (schema, req) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    let called = false;
+    validate(schema)(req, res, () => { called = true; });
+    return { res, called };
+  };
+
+  it('replaces the request input with the parsed values', () => {
+    const req = { params: { id: '7' }, query: {} };
+    const { called } = run(schemas.getTodo, req);
+    assert.equal(called, true);
+    assert.deepEqual(req.params, { id: 7 });
+  });
+
+  it('answers 400 with every issue', () => {
+    const { res, called } = run(schemas.updateTodo, { params: { id: 'x' }, body: { priority: 'SOON' } });
+    assert.equal(called, false);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(res.body.details.map(detail => `${detail.location}.${detail.field}`), ['params.id', 'body.priority']);
+  });
+});